@@ -0,0 +1,63 @@
+import {EventEmitter} from 'node:events';
+import SupabaseReactive from '../reactive.js';
+import {bindingArgs, create, watch, nextTick} from './proxy.js';
+
+export {create, watch, nextTick};
+
+
+/**
+* Create a headless SupabaseReactive for use within Node background jobs (importers, bots etc.)
+* The reactive uses the Proxy observer, so has no dependency on any browser or framework timing, and reports activity via an EventEmitter rather than framework watchers
+*
+* Events emitted:
+*
+* - `change` - The state changed for any reason (local edit or adopted remote data). Called as `(state:Reactive)`
+* - `remote` - Remote data was adopted, either from a realtime change or a re-read. Called as `(data:Object|Array)`
+* - `delete` - The remote row was deleted. Called as `(data:Reactive|Object)`
+* - `error` - A remote operation failed. Called as `(err:SupabaseReactiveError, context:String)`. Only emitted if there are listeners, errors are also surfaced via `$meta.error` + `onError` as usual
+* - `destroy` - The reactive was destroyed via `state.$destroy()`, all listeners are removed afterwards
+*
+* @param {String|Object} path Either the `table/id` path to sync or the full options object, see `SupabaseReactive()`
+* @param {Object} [options] Additional options to pass to `SupabaseReactive()`, any `on*` callbacks are still called before the matching event is emitted
+*
+* @returns {Promise<EventEmitter>} A promise which resolves with an EventEmitter when the initial state has loaded, the reactive itself is available as `worker.state`. Rejects if a different `adapter` or `reactive*` function is given, as the worker watches the state via the Proxy adapter
+*
+* @example Keep a document tidy from a background job
+* let worker = await createSupabaseWorker('widgets/my-widget', {supabase});
+* worker.on('remote', data => {
+*   if (data.title != data.title.trim()) worker.state.title = data.title.trim();
+* });
+* process.on('SIGTERM', ()=> worker.state.$destroy());
+*/
+export async function createSupabaseWorker(path, options) {
+	let settings = (typeof path == 'object' ? path : options) || {};
+	let worker = new EventEmitter();
+	let unwatch;
+
+	let args = bindingArgs(path, options, {
+		async onRead(data) {
+			await settings.onRead?.(data);
+			worker.emit('remote', data);
+		},
+		async onDelete(data) {
+			await settings.onDelete?.(data);
+			worker.emit('delete', data);
+		},
+		async onError(err, context) {
+			await settings.onError?.(err, context);
+			if (worker.listenerCount('error')) worker.emit('error', err, context); // EventEmitter throws unhandled 'error' events
+		},
+		async onDestroy(data) {
+			await settings.onDestroy?.(data);
+			unwatch?.();
+			worker.emit('destroy', data);
+			worker.removeAllListeners();
+		},
+	});
+
+	worker.state = await SupabaseReactive(...args);
+
+	unwatch = watch(worker.state, state => worker.emit('change', state));
+
+	return worker;
+}
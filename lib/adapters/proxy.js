@@ -0,0 +1,154 @@
+import {isPlainObject} from 'lodash-es';
+
+/**
+* Symbol used to retrieve the raw (un-proxied) target of an observed object
+* @type {Symbol}
+*/
+const RAW = Symbol('supabase-reactive/raw');
+
+
+/**
+* Lookup of root observed objects to their registered watch callbacks
+* @type {WeakMap<Object, Set<Function>>}
+*/
+let roots = new WeakMap();
+
+
+/**
+* Root listener sets with changes waiting to be dispatched on the next microtask
+* @type {Set<Set<Function>>}
+*/
+let pending = new Set();
+
+
+/**
+* Eventual promise for the next dispatch of pending changes, or null if nothing is pending
+* @type {Promise|null}
+*/
+let flushing = null;
+
+
+/**
+* Schedule the watchers of a root object to be called
+* Changes are batched so multiple mutations within the same tick only call each watcher once
+*
+* @param {Object} root The root observed object which has changed
+* @param {Set<Function>} listeners The watch callbacks registered against the root
+*/
+function schedule(root, listeners) {
+	if (!listeners.size) return;
+	pending.add(listeners);
+
+	flushing ??= Promise.resolve().then(()=> {
+		let batch = [...pending];
+		pending.clear();
+		flushing = null;
+		batch.forEach(batchListeners =>
+			batchListeners.forEach(cb => cb(root))
+		);
+	});
+}
+
+
+/**
+* Create a deeply observed Proxy around an object or array
+* Only plain objects and arrays are observed, other instances (Dates, class instances etc.) are returned as-is
+*
+* @param {Object|Array} state The initial state to observe
+* @returns {Proxy} The observed state
+*/
+export function create(state) {
+	let listeners = new Set();
+	let proxies = new WeakMap();
+	let root;
+
+	let observe = target => {
+		if (!Array.isArray(target) && !isPlainObject(target)) return target;
+		if (proxies.has(target)) return proxies.get(target);
+
+		let proxy = new Proxy(target, {
+			get(obj, key) {
+				if (key === RAW) return obj;
+				let value = Reflect.get(obj, key);
+				return value?.[RAW] ? value : observe(value); // Don't re-wrap objects observed by another create() (e.g. `$meta`) so they can still be watched
+			},
+			set(obj, key, value) {
+				value = value?.[RAW] ?? value;
+				let hadKey = Object.hasOwn(obj, key);
+				let previous = obj[key];
+				let result = Reflect.set(obj, key, value);
+				if (!hadKey || previous !== value) schedule(root, listeners);
+				return result;
+			},
+			deleteProperty(obj, key) {
+				let hadKey = Object.hasOwn(obj, key);
+				let result = Reflect.deleteProperty(obj, key);
+				if (hadKey) schedule(root, listeners);
+				return result;
+			},
+		});
+
+		proxies.set(target, proxy);
+		return proxy;
+	};
+
+	root = observe(state?.[RAW] ?? state);
+	roots.set(root, listeners);
+	return root;
+}
+
+
+/**
+* Deeply watch an object created via `create()` for changes
+*
+* @param {Proxy} target The observed object to watch
+* @param {Function} cb Callback to fire (at most once per tick) when the object or any of its descendants change. Called as `(target:Proxy)`
+* @returns {Function} Function which will release the watcher when called
+*/
+export function watch(target, cb) {
+	let listeners = roots.get(target);
+	if (!listeners) throw new Error('Can only watch objects created via create()');
+
+	listeners.add(cb);
+	return ()=> listeners.delete(cb);
+}
+
+
+/**
+* Wait for any pending watcher callbacks to be dispatched
+*
+* @returns {Promise} A promise which resolves when all pending changes have been dispatched
+*/
+export function nextTick() {
+	return flushing || Promise.resolve();
+}
+
+
+/**
+* Build the `SupabaseReactive()` arguments of a framework binding (React, Svelte, Solid + Node adapters) which watches the created reactive via this adapter
+*
+* @access private
+*
+* @param {String|Object} path Either the `table/id` path to sync or the full options object, as given to the binding
+* @param {Object} [options] Additional options, as given to the binding
+* @param {Object} [overrides] Options the binding sets itself, such as wrapped callbacks
+*
+* @returns {Array} The arguments to call `SupabaseReactive()` with
+* @throws {Error} If a different `adapter` or `reactiveCreate` / `reactiveWatch` / `reactiveNextTick` is given, as the binding would never see its changes
+*/
+export function bindingArgs(path, options, overrides) {
+	let settings = (typeof path == 'object' ? path : options) || {};
+	let own = {create, watch, nextTick};
+	let conflicts = [
+		settings.adapter && (settings.adapter.create !== create || settings.adapter.watch !== watch || settings.adapter.nextTick !== nextTick) && 'adapter',
+		settings.reactiveCreate && settings.reactiveCreate !== create && 'reactiveCreate',
+		settings.reactiveWatch && settings.reactiveWatch !== watch && 'reactiveWatch',
+		settings.reactiveNextTick && settings.reactiveNextTick !== nextTick && 'reactiveNextTick',
+	].filter(Boolean);
+	if (conflicts.length) throw new Error(`Framework bindings always use the Proxy adapter, remove the ${conflicts.map(option => `\`${option}\``).join(', ')} option(s)`);
+
+	let reactiveOptions = {...settings, ...overrides, adapter: own};
+	return typeof path == 'object'
+		? [reactiveOptions] // Path is the options object so pass the merged options in its place
+		: [path, reactiveOptions];
+}
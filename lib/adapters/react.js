@@ -0,0 +1,67 @@
+import {useEffect, useState} from 'react';
+import SupabaseReactive from '../reactive.js';
+import {bindingArgs, create, watch, nextTick} from './proxy.js';
+
+export {create, watch, nextTick};
+
+
+/**
+* React hook which binds a component to a SupabaseReactive
+* The component is re-rendered whenever the state, its `$meta` or its `$presence` changes
+*
+* NOTE: The reactive is only recreated if the path (or `table` + `id` options) change, all other options are read once on mount
+*
+* @param {String|Object} path Either the `table/id` path to sync or the full options object, see `SupabaseReactive()`
+* @param {Object} [options] Additional options to pass to `SupabaseReactive()`
+*
+* @returns {Null|Reactive} The reactive state, or null if it is still being loaded
+* @throws {SupabaseReactiveError} Any error which occurred while loading the state, rethrown during render so it can be caught by an error boundary
+* @throws {Error} If a different `adapter` or `reactive*` function is given, as the hook watches the state via the Proxy adapter
+*
+* @example Display a document
+* function Widget({id}) {
+*   let state = useSupabaseReactive(`widgets/${id}`, {supabase});
+*   if (!state) return <Loading/>;
+*   return <input value={state.title} onChange={e => state.title = e.target.value}/>;
+* }
+*/
+export function useSupabaseReactive(path, options) {
+	let [reactive, setReactive] = useState(null);
+	let [error, setError] = useState(null);
+	let [, setRevision] = useState(0);
+
+	let args = bindingArgs(path, options);
+	let key = typeof path == 'string'
+		? path
+		: `${path.table}/${path.id}`;
+
+	useEffect(()=> {
+		let isDestroyed = false;
+		let instance;
+		let unwatchers = [];
+		let rerender = ()=> setRevision(revision => revision + 1);
+
+		SupabaseReactive(...args)
+			.then(created => {
+				if (isDestroyed) return created.$destroy(); // Unmounted while loading
+				instance = created;
+				unwatchers = [
+					watch(created, rerender),
+					watch(created.$meta, rerender),
+					watch(created.$presence, rerender),
+				];
+				setReactive(created);
+			})
+			.catch(setError);
+
+		return ()=> {
+			isDestroyed = true;
+			unwatchers.forEach(unwatch => unwatch());
+			if (instance) instance.$destroy();
+			setReactive(null);
+		};
+	}, [key]); // Only recreate when the row changes, other options are read once
+
+	if (error) throw error;
+	return reactive;
+}
@@ -0,0 +1,53 @@
+import {createSignal, getOwner, onCleanup} from 'solid-js';
+import SupabaseReactive from '../reactive.js';
+import {bindingArgs, create, watch, nextTick} from './proxy.js';
+
+export {create, watch, nextTick};
+
+
+/**
+* Create a Solid signal bound to a SupabaseReactive
+* The signal is notified each time the state, its `$meta` or its `$presence` changes
+* If called within a reactive owner (e.g. a component) the reactive is destroyed along with it
+*
+* @param {String|Object} path Either the `table/id` path to sync or the full options object, see `SupabaseReactive()`
+* @param {Object} [options] Additional options to pass to `SupabaseReactive()`
+*
+* @returns {Function} A Solid accessor returning the reactive state, or null while it is still being loaded
+* @throws {Error} If a different `adapter` or `reactive*` function is given, as the signal watches the state via the Proxy adapter
+*
+* @example Bind a document within a component
+* function Widget() {
+*   let state = createSupabaseReactive('widgets/my-widget', {supabase});
+*   return <Show when={state()}>{s => <input value={s().title} onInput={e => s().title = e.target.value}/>}</Show>;
+* }
+*/
+export function createSupabaseReactive(path, options) {
+	let args = bindingArgs(path, options);
+	let [reactive, setReactive] = createSignal(null, {equals: false}); // Always notify as the reactive is mutated in place
+	let isDestroyed = false;
+	let instance;
+	let unwatchers = [];
+
+	SupabaseReactive(...args)
+		.then(created => {
+			if (isDestroyed) return created.$destroy(); // Owner cleaned up while loading
+			instance = created;
+			let notify = ()=> setReactive(created);
+			unwatchers = [
+				watch(created, notify),
+				watch(created.$meta, notify),
+				watch(created.$presence, notify),
+			];
+			notify();
+		})
+		.catch(()=> {}); // Errors are surfaced via onError
+
+	if (getOwner()) onCleanup(()=> {
+		isDestroyed = true;
+		unwatchers.forEach(unwatch => unwatch());
+		if (instance) instance.$destroy();
+	});
+
+	return reactive;
+}
@@ -0,0 +1,68 @@
+import SupabaseReactive from '../reactive.js';
+import {bindingArgs, create, watch, nextTick} from './proxy.js';
+
+export {create, watch, nextTick};
+
+
+/**
+* Create a Svelte store bound to a SupabaseReactive
+* The reactive is created when the first subscriber arrives and destroyed when the last one leaves
+* Subscribers are called with the reactive state (or null while it is still being loaded) each time the state, its `$meta` or its `$presence` changes
+*
+* @param {String|Object} path Either the `table/id` path to sync or the full options object, see `SupabaseReactive()`
+* @param {Object} [options] Additional options to pass to `SupabaseReactive()`
+*
+* @returns {Object} A Svelte store implementing `subscribe(run:Function)`
+* @throws {Error} If a different `adapter` or `reactive*` function is given, as the store watches the state via the Proxy adapter
+*
+* @example Bind a document within a component
+* <script>
+*   let state = supabaseStore('widgets/my-widget', {supabase});
+* </script>
+* {#if $state}<input bind:value={$state.title}/>{/if}
+*/
+export function supabaseStore(path, options) {
+	let args = bindingArgs(path, options);
+	let subscribers = new Set();
+	let reactive = null;
+	let loading = null;
+	let unwatchers = [];
+
+	let publish = ()=> subscribers.forEach(run => run(reactive));
+
+	let start = ()=> {
+		loading = SupabaseReactive(...args)
+			.then(created => {
+				if (!subscribers.size) return created.$destroy(); // Everyone left while loading
+				reactive = created;
+				unwatchers = [
+					watch(created, publish),
+					watch(created.$meta, publish),
+					watch(created.$presence, publish),
+				];
+				publish();
+			})
+			.catch(()=> {}) // Errors are surfaced via onError
+			.finally(()=> loading = null);
+	};
+
+	let stop = ()=> {
+		unwatchers.forEach(unwatch => unwatch());
+		unwatchers = [];
+		if (reactive) reactive.$destroy();
+		reactive = null;
+	};
+
+	return {
+		subscribe(run) {
+			subscribers.add(run);
+			if (subscribers.size == 1 && !reactive && !loading) start();
+			run(reactive);
+
+			return ()=> {
+				subscribers.delete(run);
+				if (!subscribers.size) stop();
+			};
+		},
+	};
+}
@@ -0,0 +1,35 @@
+import {nextTick as VueNextTick, reactive as VueReactive, watch as VueWatch} from 'vue';
+
+/**
+* Create a Vue reactive object
+*
+* @param {Object|Array} state The initial state
+* @returns {Reactive} A Vue reactive object
+*/
+export function create(state) {
+	return VueReactive(state);
+}
+
+
+/**
+* Deeply watch a Vue reactive for changes
+*
+* @param {Reactive} target The reactive to watch
+* @param {Function} cb Callback to fire when the reactive changes
+* @returns {Function} Function which will release the watcher when called
+*/
+export function watch(target, cb) {
+	return VueWatch(target, cb, {
+		deep: true,
+	});
+}
+
+
+/**
+* Wait for Vue to flush pending updates
+*
+* @returns {Promise} A promise which resolves on the next Vue tick
+*/
+export function nextTick() {
+	return VueNextTick();
+}
@@ -0,0 +1,188 @@
+import * as Y from 'yjs';
+import {isEqual, isPlainObject} from 'lodash-es';
+
+/**
+* Create an empty Yjs document
+* The document state is held within the root map named 'data'
+*
+* @returns {Y.Doc} The created document
+*/
+export function create() {
+	return new Y.Doc();
+}
+
+
+/**
+* Merge a binary update (from any client) into a document
+*
+* @param {Y.Doc} doc The document to merge into
+* @param {Uint8Array} update The Yjs update to merge
+*/
+export function applyUpdate(doc, update) {
+	Y.applyUpdate(doc, update);
+}
+
+
+/**
+* Encode the entire state of a document as a single update
+*
+* @param {Y.Doc} doc The document to encode
+* @returns {Uint8Array} The Yjs update
+*/
+export function encodeState(doc) {
+	return Y.encodeStateAsUpdate(doc);
+}
+
+
+/**
+* Compute the plain JSON state of a document
+*
+* @param {Y.Doc} doc The document to examine
+* @returns {Object} The document state
+*/
+export function toJSON(doc) {
+	return doc.getMap('data').toJSON();
+}
+
+
+/**
+* Apply a plain JSON state to a document, returning the update which describes the change
+*
+* Objects are stored as Y.Map, arrays as Y.Array and strings as Y.Text so concurrent edits merge:
+* - Arrays are diffed by their common prefix + suffix so concurrent inserts from different clients are both kept
+* - Strings which share a prefix or suffix with their previous value are edited in place so concurrent typing interleaves, strings which are entirely replaced (e.g. enum values) are swapped as a whole so concurrent replacements resolve to one value
+*
+* @param {Y.Doc} doc The document to change
+* @param {Object} data The new state of the document, normalized to JSON first so Dates become ISO strings
+*
+* @returns {Null|Uint8Array} The Yjs update describing the change or null if the document is unchanged
+*/
+export function change(doc, data) {
+	let update = null;
+	let onUpdate = changes => update = changes;
+
+	doc.on('update', onUpdate);
+	try {
+		doc.transact(()=> syncMap(doc.getMap('data'), JSON.parse(JSON.stringify(data))));
+	} finally {
+		doc.off('update', onUpdate);
+	}
+
+	return update;
+}
+
+
+/**
+* Convert a plain JSON value into its Yjs type
+*
+* @param {*} value The value to convert
+* @returns {*} A Y.Map, Y.Array, Y.Text or scalar
+*/
+function toY(value) {
+	if (typeof value == 'string') return new Y.Text(value);
+	if (Array.isArray(value)) {
+		let array = new Y.Array();
+		array.insert(0, value.map(toY));
+		return array;
+	}
+	if (isPlainObject(value)) {
+		let map = new Y.Map();
+		Object.entries(value).forEach(([key, item]) => map.set(key, toY(item)));
+		return map;
+	}
+	return value ?? null;
+}
+
+
+/**
+* Update an existing Yjs value in place to match a plain JSON value
+*
+* @param {*} current The existing Y.Map, Y.Array, Y.Text or scalar
+* @param {*} value The plain JSON value to match
+*
+* @returns {Boolean} True if the value now matches, false if it could not be updated in place and should be replaced
+*/
+function syncValue(current, value) {
+	if (current instanceof Y.Map && isPlainObject(value)) {
+		syncMap(current, value);
+		return true;
+	} else if (current instanceof Y.Array && Array.isArray(value)) {
+		syncArray(current, value);
+		return true;
+	} else if (current instanceof Y.Text && typeof value == 'string') {
+		return syncText(current, value);
+	} else {
+		return !(current instanceof Y.AbstractType) && isEqual(current, value);
+	}
+}
+
+
+/**
+* Update a Y.Map in place to match a plain object
+*
+* @param {Y.Map} map The map to update
+* @param {Object} data The plain object to match
+*/
+function syncMap(map, data) {
+	[...map.keys()]
+		.filter(key => !(key in data))
+		.forEach(key => map.delete(key));
+
+	Object.entries(data).forEach(([key, value]) => {
+		if (!syncValue(map.get(key), value)) map.set(key, toY(value));
+	});
+}
+
+
+/**
+* Update a Y.Array in place to match a plain array, only touching the items between the common prefix + suffix
+*
+* @param {Y.Array} array The array to update
+* @param {Array} data The plain array to match
+*/
+function syncArray(array, data) {
+	let current = array.toJSON();
+	let start = 0;
+	while (start < current.length && start < data.length && isEqual(current[start], data[start])) start++;
+	let end = 0;
+	while (end < current.length - start && end < data.length - start && isEqual(current.at(-1 - end), data.at(-1 - end))) end++;
+
+	let removed = current.length - start - end;
+	let added = data.slice(start, data.length - end);
+
+	if (removed == added.length) { // Items changed rather than inserted / removed - update each in place so concurrent edits within items merge
+		added.forEach((value, offset) => {
+			if (syncValue(array.get(start + offset), value)) return;
+			array.delete(start + offset, 1);
+			array.insert(start + offset, [toY(value)]);
+		});
+	} else {
+		if (removed > 0) array.delete(start, removed);
+		if (added.length > 0) array.insert(start, added.map(toY));
+	}
+}
+
+
+/**
+* Update a Y.Text in place to match a string, only touching the characters between the common prefix + suffix
+*
+* @param {Y.Text} text The text to update
+* @param {String} value The string to match
+*
+* @returns {Boolean} True if the text was updated, false if the string was entirely replaced and the text should be swapped as a whole
+*/
+function syncText(text, value) {
+	let current = text.toString();
+	if (current == value) return true;
+
+	let start = 0;
+	while (start < current.length && start < value.length && current[start] == value[start]) start++;
+	let end = 0;
+	while (end < current.length - start && end < value.length - start && current.at(-1 - end) == value.at(-1 - end)) end++;
+
+	if (current && value && start == 0 && end == 0) return false; // Nothing in common - treat as a replacement rather than an edit
+
+	if (current.length - start - end > 0) text.delete(start, current.length - start - end);
+	if (value.length - start - end > 0) text.insert(start, value.slice(start, value.length - end));
+	return true;
+}
@@ -0,0 +1,63 @@
+/**
+* Base error class for all errors raised by SupabaseReactive
+*
+* @property {Object} [response] The raw Supabase response which caused the error, if any
+*/
+export class SupabaseReactiveError extends Error {
+	/**
+	* @param {String} message The error message
+	* @param {Object} [response] The raw Supabase response which caused the error
+	*/
+	constructor(message, response) {
+		super(message);
+		this.name = this.constructor.name;
+		this.response = response;
+	}
+}
+
+
+/**
+* The Supabase server could not be reached
+*/
+export class NetworkError extends SupabaseReactiveError {}
+
+
+/**
+* The requested row does not exist (or is hidden by RLS policies)
+*/
+export class NotFoundError extends SupabaseReactiveError {}
+
+
+/**
+* The server refused the operation, usually due to RLS policies or missing authentication
+*/
+export class PermissionDeniedError extends SupabaseReactiveError {}
+
+
+/**
+* A local write could not be reconciled with the server state within the allowed number of retries
+*/
+export class ConflictError extends SupabaseReactiveError {}
+
+
+/**
+* Any other error reported by the Supabase server
+*/
+export class RemoteError extends SupabaseReactiveError {}
+
+
+/**
+* A value could not be accepted, e.g. it failed schema validation or to serialize into its column
+*
+* @property {Array<String>} errors Individual validation messages, each prefixed with the JSON-Pointer path of the invalid value where known
+*/
+export class ValidationError extends SupabaseReactiveError {
+	/**
+	* @param {String} message The error message
+	* @param {Array<String>} [errors] Individual validation messages
+	*/
+	constructor(message, errors) {
+		super(message);
+		this.errors = errors || [message];
+	}
+}
@@ -0,0 +1,699 @@
+import {isEqual, mapValues} from 'lodash-es';
+import jsonPatch from 'fast-json-patch';
+import {columnValue, compareOrder} from './filter.js';
+
+/**
+* In-memory stand-in for a Supabase client
+* Implements the subset of the Supabase JS client used by SupabaseReactive - table queries, RPC calls, `auth.getSession()` and `postgres_changes`, broadcast + presence `sync` realtime channels - so reactives can run without a network (e.g. in tests or offline demos)
+* Clients sharing the same `database` see each others writes and receive each others realtime events
+*
+* @param {Object} [options] Additional options to configure behaviour
+* @param {FakeDatabase} [options.database] The database to use, defaults to a new empty database. Share this between clients to simulate multiple users
+* @param {Number} [options.latency=0] Time in milliseconds to delay each response + realtime event by
+* @param {Object<Function>} [options.functions] Additional RPC functions, each called as `(params:Object, client:FakeSupabase)` and returning (or resolving with) the result. `supabase_reactive_patch` is provided by default
+* @param {Object} [options.user] The signed in user reported by `auth.getSession()` (e.g. `{id: 'alice'}`), defaults to no session
+*
+* @returns {FakeSupabase} A client suitable for the `supabase` option
+*
+* @example Sync two reactives in the same process
+* import FakeSupabase, {createDatabase} from '@momsfriendlydevco/supabase-reactive/fake';
+* let database = createDatabase();
+* let a = await Reactive('docs/123', {supabase: FakeSupabase({database})});
+* let b = await Reactive('docs/123', {supabase: FakeSupabase({database})});
+* a.foo = 'Foo!'; // Shortly afterwards `b.foo` is also 'Foo!'
+*/
+export default function FakeSupabase(options) {
+	let settings = {
+		database: createDatabase(),
+		latency: 0,
+		functions: {},
+		user: null,
+		...options,
+	};
+	let {database} = settings;
+
+	/**
+	* Whether the client is simulating a reachable server, toggled via `setOnline()`
+	* @type {Boolean}
+	*/
+	let isOnline = true;
+
+	/**
+	* Channels created by this client
+	* @type {Set<Object>}
+	*/
+	let channels = new Set();
+
+	/**
+	* Available RPC functions
+	* @type {Object<Function>}
+	*/
+	let functions = {
+		supabase_reactive_patch: patchFunction,
+		...settings.functions,
+	};
+
+	/**
+	* Wait for the configured latency
+	* @returns {Promise} A promise which resolves after `latency` milliseconds
+	*/
+	let delay = ()=> new Promise(resolve => setTimeout(resolve, settings.latency));
+
+	/**
+	* Create a query builder against a schema + table
+	*
+	* @param {String} schema The schema of the table
+	* @param {String} table The table to query
+	* @returns {Object} A chainable, thenable query builder
+	*/
+	let from = (schema, table) => {
+		let query = {
+			action: 'select',
+			columns: '*',
+			values: null,
+			upsertOptions: {},
+			filters: [],
+			order: [],
+			limit: null,
+			offset: 0,
+			single: false,
+			maybeSingle: false,
+			returning: false,
+			count: null,
+			head: false,
+		};
+
+		let builder = {
+			select(columns = '*', selectOptions) {
+				query.columns = columns;
+				if (query.action == 'select') {
+					query.count = selectOptions?.count || null;
+					query.head = !!selectOptions?.head;
+				} else {
+					query.returning = true;
+				}
+				return builder;
+			},
+			insert(values) {
+				Object.assign(query, {action: 'insert', values});
+				return builder;
+			},
+			upsert(values, upsertOptions) {
+				Object.assign(query, {action: 'upsert', values, upsertOptions: upsertOptions || {}});
+				return builder;
+			},
+			update(values) {
+				Object.assign(query, {action: 'update', values});
+				return builder;
+			},
+			delete() {
+				query.action = 'delete';
+				return builder;
+			},
+			eq: (column, value) => builder.filter(column, 'eq', value),
+			neq: (column, value) => builder.filter(column, 'neq', value),
+			gt: (column, value) => builder.filter(column, 'gt', value),
+			gte: (column, value) => builder.filter(column, 'gte', value),
+			lt: (column, value) => builder.filter(column, 'lt', value),
+			lte: (column, value) => builder.filter(column, 'lte', value),
+			like: (column, value) => builder.filter(column, 'like', value),
+			ilike: (column, value) => builder.filter(column, 'ilike', value),
+			is: (column, value) => builder.filter(column, 'is', value),
+			in: (column, value) => builder.filter(column, 'in', value),
+			match(values) {
+				Object.entries(values).forEach(([column, value]) => builder.filter(column, 'eq', value));
+				return builder;
+			},
+			filter(column, operator, value) {
+				query.filters.push(row => matchFilter(columnValue(row, column), operator, value));
+				return builder;
+			},
+			order(column, orderOptions) {
+				query.order.push({column, ascending: orderOptions?.ascending ?? true, nullsFirst: orderOptions?.nullsFirst});
+				return builder;
+			},
+			limit(count) {
+				query.limit = count;
+				return builder;
+			},
+			range(start, end) {
+				query.offset = start;
+				query.limit = end - start + 1;
+				return builder;
+			},
+			single() {
+				query.single = true;
+				return builder;
+			},
+			maybeSingle() {
+				query.maybeSingle = true;
+				return builder;
+			},
+			then(resolve, reject) {
+				return delay()
+					.then(()=> isOnline ? execute(schema, table, query) : offlineResponse())
+					.then(resolve, reject);
+			},
+		};
+
+		return builder;
+	};
+
+	/**
+	* Execute a query against the database
+	*
+	* @param {String} schema The schema of the table
+	* @param {String} table The table to query
+	* @param {Object} query The query built by the query builder
+	* @returns {Object} A Supabase style response of the form `{data, error, count, status, statusText}`
+	*/
+	let execute = (schema, table, query) => {
+		let rows = database.table(schema, table);
+		let matches = rows.filter(row => query.filters.every(filter => filter(row)));
+		let status = 200;
+		let result;
+
+		switch (query.action) {
+			case 'select':
+				result = matches;
+				break;
+			case 'insert': {
+				let inserted = [];
+				for (let values of [].concat(query.values)) {
+					let row = database.createRow(values);
+					if (rows.some(existing => existing[database.primaryKey] == row[database.primaryKey]))
+						return errorResponse(409, '23505', `duplicate key value violates unique constraint "${table}_pkey"`);
+					rows.push(row);
+					inserted.push(row);
+					database.broadcast(schema, table, 'INSERT', row, {});
+				}
+				result = inserted;
+				status = 201;
+				break;
+			}
+			case 'upsert': {
+				let conflictColumn = query.upsertOptions.onConflict || database.primaryKey;
+				let written = [];
+				for (let values of [].concat(query.values)) {
+					let existing = rows.find(row => values[conflictColumn] !== undefined && row[conflictColumn] == values[conflictColumn]);
+					if (existing && query.upsertOptions.ignoreDuplicates) continue;
+					if (existing) {
+						Object.assign(existing, serialize(values));
+						written.push(existing);
+						database.broadcast(schema, table, 'UPDATE', existing, pick(existing, database.primaryKey));
+					} else {
+						let row = database.createRow(values);
+						rows.push(row);
+						written.push(row);
+						database.broadcast(schema, table, 'INSERT', row, {});
+					}
+				}
+				result = written;
+				status = 201;
+				break;
+			}
+			case 'update':
+				matches.forEach(row => {
+					Object.assign(row, serialize(query.values));
+					database.broadcast(schema, table, 'UPDATE', row, pick(row, database.primaryKey));
+				});
+				result = matches;
+				break;
+			case 'delete':
+				matches.forEach(row => {
+					rows.splice(rows.indexOf(row), 1);
+					database.broadcast(schema, table, 'DELETE', {}, pick(row, database.primaryKey));
+				});
+				result = matches;
+				break;
+		}
+
+		if (query.action != 'select' && !query.returning) // Mutations only return data when followed by select()
+			return {data: null, error: null, count: null, status: status == 200 ? 204 : status, statusText: ''};
+
+		// Sort, paginate + project the result
+		let count = query.count ? result.length : null;
+		if (query.order.length) result = [...result].sort((a, b) => compareOrder(a, b, query.order));
+		result = result.slice(query.offset, query.limit === null ? undefined : query.offset + query.limit);
+		let data = result.map(row => project(row, query.columns));
+
+		if (query.head) {
+			data = null;
+		} else if (query.single || query.maybeSingle) {
+			if (data.length > 1 || (data.length == 0 && query.single))
+				return errorResponse(406, 'PGRST116', 'JSON object requested, multiple (or no) rows returned', `The result contains ${data.length} rows`);
+			data = data[0] ?? null;
+		}
+
+		return {data, error: null, count, status, statusText: ''};
+	};
+
+	/**
+	* Call an RPC function
+	*
+	* @param {String} fn The function name to call
+	* @param {Object} [params] Parameters to pass to the function
+	* @returns {Promise<Object>} A Supabase style response of the form `{data, error, status, statusText}`
+	*/
+	let rpc = async (fn, params) => {
+		await delay();
+		if (!isOnline) return offlineResponse();
+		if (!functions[fn]) return errorResponse(404, 'PGRST202', `Could not find the function public.${fn} in the schema cache`);
+
+		try {
+			return {data: await functions[fn](params || {}, client), error: null, status: 200, statusText: ''};
+		} catch (e) {
+			return errorResponse(400, 'P0001', e.message);
+		}
+	};
+
+	/**
+	* Built-in implementation of `supabase_reactive_patch` from `sql/patch.sql`
+	*
+	* @param {Object} params The RPC parameters
+	* @returns {Number} The number of affected rows
+	*/
+	function patchFunction(params) {
+		let rows = database.table(params.schema_name, params.table_name);
+		let row = rows.find(row => String(row[params.id_column]) == String(params.id));
+		if (!row) return 0;
+		if (params.check_version && params.version_column && !isEqual(row[params.version_column] ?? null, params.expected_version ?? null)) return 0;
+
+		row[params.data_column] = jsonPatch.applyPatch(structuredClone(row[params.data_column] ?? {}), params.patch, false, false).newDocument;
+		if (params.timestamp_column) row[params.timestamp_column] = serialize(params.timestamp_value);
+		if (params.version_column) row[params.version_column] = params.version_value;
+
+		database.broadcast(params.schema_name, params.table_name, 'UPDATE', row, pick(row, database.primaryKey));
+		return 1;
+	}
+
+	/**
+	* Create a realtime channel
+	*
+	* @param {String} name The channel name
+	* @param {Object} [options] Channel options
+	* @param {String} [options.config.presence.key] The key to track this clients presence against, defaults to a random UUID
+	* @param {Boolean} [options.config.broadcast.self=false] Whether this channel should receive its own broadcast messages
+	* @returns {Object} The created channel, compatible with `RealtimeChannel`
+	*/
+	let channel = (name, options) => {
+		let presenceKey = options?.config?.presence?.key || globalThis.crypto.randomUUID();
+		let broadcastSelf = !!options?.config?.broadcast?.self;
+		let tracked = null;
+
+		let fakeChannel = {
+			topic: `realtime:${name}`,
+			state: 'closed',
+			bindings: [],
+			on(type, filter, cb) {
+				if (type == 'presence') {
+					if (filter?.event != 'sync') throw new Error(`FakeSupabase only supports presence 'sync' events, not "${filter?.event}"`);
+				} else if (type != 'postgres_changes' && type != 'broadcast') {
+					throw new Error(`FakeSupabase only supports 'postgres_changes', 'broadcast' + 'presence' channel events, not "${type}"`);
+				}
+				fakeChannel.bindings.push({type, filter, cb});
+				return fakeChannel;
+			},
+			subscribe(cb) {
+				database.channels.add(fakeChannel);
+				delay().then(()=> {
+					if (!channels.has(fakeChannel)) return; // Removed before we connected
+					if (!isOnline) return cb?.('CHANNEL_ERROR', new Error('Offline'));
+					fakeChannel.state = 'joined';
+					cb?.('SUBSCRIBED');
+					database.syncPresence(fakeChannel.topic);
+				});
+				return fakeChannel;
+			},
+			async unsubscribe() {
+				database.channels.delete(fakeChannel);
+				fakeChannel.state = 'closed';
+				if (tracked) database.syncPresence(fakeChannel.topic);
+				return 'ok';
+			},
+			async track(payload) {
+				if (fakeChannel.state != 'joined' || !isOnline) return 'timed out';
+				await delay();
+				tracked = {...structuredClone(payload), presence_ref: Math.random().toString(36).slice(2)};
+				database.syncPresence(fakeChannel.topic);
+				return 'ok';
+			},
+			async untrack() {
+				tracked = null;
+				database.syncPresence(fakeChannel.topic);
+				return 'ok';
+			},
+			async send(message) {
+				if (message.type != 'broadcast') throw new Error(`FakeSupabase only supports sending 'broadcast' messages, not "${message.type}"`);
+				if (!isOnline) return 'error';
+				await delay();
+				database.send(fakeChannel.topic, message, broadcastSelf ? null : fakeChannel); // Like Supabase, messages can be sent before the channel has joined
+				return 'ok';
+			},
+			presenceState() {
+				let state = {};
+				database.channels.forEach(other => {
+					let presence = other.topic == fakeChannel.topic && other.presence();
+					if (presence) (state[presence.key] ||= []).push(structuredClone(presence.payload));
+				});
+				return state;
+			},
+			/**
+			* The presence tracked by this channel, if the channel is joined + reachable
+			*
+			* @returns {Null|Object} The tracked presence of the form `{key, payload}`
+			*/
+			presence() {
+				return fakeChannel.state == 'joined' && isOnline && tracked
+					? {key: presenceKey, payload: tracked}
+					: null;
+			},
+			/**
+			* Deliver a database change, broadcast message or presence sync to all matching bindings
+			*
+			* @param {Object} payload The realtime payload. Broadcast messages are of the form `{type: 'broadcast', event, payload}`, presence syncs `{type: 'presence'}`
+			*/
+			deliver(payload) {
+				if (fakeChannel.state != 'joined' || !isOnline) return;
+				fakeChannel.bindings
+					.filter(({type, filter}) =>
+						payload.type == 'presence' ? type == 'presence'
+						: payload.type == 'broadcast' ? type == 'broadcast' && (filter?.event == '*' || filter?.event == payload.event)
+						: type == 'postgres_changes'
+						&& (filter.schema ?? 'public') == payload.schema
+						&& filter.table == payload.table
+						&& (!filter.event || filter.event == '*' || filter.event == payload.eventType)
+						&& (!filter.filter || payload.eventType == 'DELETE' || matchRealtimeFilter(payload.new, filter.filter)) // Like Supabase, DELETE events are never filtered
+					)
+					.forEach(({cb}) => cb(structuredClone(payload)));
+			},
+		};
+
+		channels.add(fakeChannel);
+		return fakeChannel;
+	};
+
+	let client = {
+		database,
+		from: table => from('public', table),
+		rpc,
+		channel,
+		schema: schema => ({
+			from: table => from(schema, table),
+			rpc,
+		}),
+		getChannels() {
+			return [...channels];
+		},
+		auth: {
+			async getSession() {
+				return {
+					data: {session: settings.user ? {user: structuredClone(settings.user)} : null},
+					error: null,
+				};
+			},
+		},
+		async removeChannel(fakeChannel) {
+			let existing = [...channels].find(channel => channel.topic == fakeChannel.topic); // Compare by topic as the channel may have been wrapped by a reactive
+			if (!existing) return 'ok';
+			channels.delete(existing);
+			await existing.unsubscribe();
+			return 'ok';
+		},
+		async removeAllChannels() {
+			return Promise.all([...channels].map(fakeChannel => client.removeChannel(fakeChannel)));
+		},
+		/**
+		* Simulate the server becoming (un)reachable
+		* While offline all queries fail as network errors and no realtime events are delivered to this client
+		*
+		* @param {Boolean} online Whether the server should be reachable
+		*/
+		setOnline(online) {
+			isOnline = online;
+			new Set([...channels].map(({topic}) => topic)).forEach(topic => database.syncPresence(topic)); // Peers see this clients presence come + go
+		},
+	};
+
+	return client;
+}
+
+
+/**
+* Create an empty in-memory database which can be shared between FakeSupabase clients
+*
+* @param {Object} [options] Additional options to configure behaviour
+* @param {String} [options.primaryKey='id'] The primary key column of all tables, allocated as a UUID on insert if not provided
+* @param {Object} [options.defaults] Column defaults applied to inserted rows, each either a value or a function which returns the value (e.g. `{created_at: ()=> new Date().toISOString()}`)
+* @param {Object<Array<Object>>} [options.tables] Initial rows for each table, keyed by `table` or `schema.table`
+*
+* @returns {FakeDatabase} The created database
+*/
+export function createDatabase(options) {
+	let settings = {
+		primaryKey: 'id',
+		defaults: {},
+		tables: {},
+		...options,
+	};
+
+	let database = {
+		primaryKey: settings.primaryKey,
+
+		/**
+		* Rows of each table keyed by `schema.table`
+		* @type {Map<String, Array<Object>>}
+		*/
+		tables: new Map(),
+
+		/**
+		* All subscribed channels across all clients
+		* @type {Set<Object>}
+		*/
+		channels: new Set(),
+
+		/**
+		* Fetch the rows of a table, creating it if it does not already exist
+		*
+		* @param {String} schema The schema of the table
+		* @param {String} table The table name
+		* @returns {Array<Object>} The live rows of the table
+		*/
+		table(schema, table) {
+			let key = `${schema}.${table}`;
+			if (!database.tables.has(key)) database.tables.set(key, []);
+			return database.tables.get(key);
+		},
+
+		/**
+		* Create a new row from inserted values, allocating its primary key if needed
+		*
+		* @param {Object} values The inserted values
+		* @returns {Object} The created row
+		*/
+		createRow(values) {
+			return {
+				[settings.primaryKey]: globalThis.crypto.randomUUID(),
+				...mapValues(settings.defaults, value => typeof value == 'function' ? value() : value),
+				...serialize(values),
+			};
+		},
+
+		/**
+		* Broadcast a change to all subscribed channels
+		*
+		* @param {String} schema The schema of the changed table
+		* @param {String} table The changed table
+		* @param {String} eventType The type of change. ENUM: 'INSERT', 'UPDATE', 'DELETE'
+		* @param {Object} newRow The new state of the row (empty for deletes)
+		* @param {Object} oldRow The primary key of the old row (empty for inserts)
+		*/
+		broadcast(schema, table, eventType, newRow, oldRow) {
+			let payload = structuredClone({
+				schema,
+				table,
+				commit_timestamp: new Date().toISOString(),
+				eventType,
+				new: newRow,
+				old: oldRow,
+				errors: null,
+			});
+			setTimeout(()=> database.channels.forEach(channel => channel.deliver(payload)));
+		},
+
+		/**
+		* Send a broadcast message to all subscribed channels of a topic
+		*
+		* @param {String} topic The channel topic, e.g. `realtime:my-channel`
+		* @param {Object} message The message of the form `{type: 'broadcast', event, payload}`
+		* @param {Object} [sender] The sending channel, which does not receive the message
+		*/
+		send(topic, message, sender) {
+			let payload = structuredClone(message);
+			setTimeout(()=> database.channels.forEach(channel => channel.topic == topic && channel !== sender && channel.deliver(payload)));
+		},
+
+		/**
+		* Notify all subscribed channels of a topic that its presence state has changed
+		*
+		* @param {String} topic The channel topic, e.g. `realtime:my-channel`
+		*/
+		syncPresence(topic) {
+			setTimeout(()=> database.channels.forEach(channel => channel.topic == topic && channel.deliver({type: 'presence'})));
+		},
+	};
+
+	Object.entries(settings.tables).forEach(([key, rows]) => {
+		let [schema, table] = key.includes('.') ? key.split('.', 2) : ['public', key];
+		database.table(schema, table).push(...rows.map(row => database.createRow(row)));
+	});
+
+	return database;
+}
+
+
+/**
+* Serialize values the same way they would be sent over the wire (e.g. Dates become ISO strings)
+*
+* @param {*} values The values to serialize
+* @returns {*} The serialized values
+*/
+function serialize(values) {
+	return values === undefined ? null : JSON.parse(JSON.stringify(values));
+}
+
+
+/**
+* Pick a single key from a row
+*
+* @param {Object} row The row to pick from
+* @param {String} key The key to pick
+* @returns {Object} An object containing only the key
+*/
+function pick(row, key) {
+	return {[key]: row[key]};
+}
+
+
+/**
+* Project a row into the selected columns
+*
+* @param {Object} row The row to project
+* @param {String} columns Comma separated column list or '*'
+* @returns {Object} A copy of the row containing only the selected columns (missing columns are null)
+*/
+function project(row, columns) {
+	let copy = structuredClone(row);
+	if (!columns || columns.trim() == '*') return copy;
+
+	return Object.fromEntries(
+		columns.split(',')
+			.map(column => column.trim())
+			.filter(Boolean)
+			.map(column => [column, copy[column] ?? null])
+	);
+}
+
+
+/**
+* Determine if a column value matches a PostgREST filter
+*
+* @param {*} value The column value
+* @param {String} operator The PostgREST operator
+* @param {*} operand The value to compare against
+* @returns {Boolean} Whether the value matches
+*/
+function matchFilter(value, operator, operand) {
+	if (operator.startsWith('not.')) return (operator == 'not.is' || (value !== null && value !== undefined)) && !matchFilter(value, operator.slice(4), operand); // SQL NULL never matches a negated comparison either
+
+	let comparable = v => typeof v == 'number' || typeof v == 'boolean' ? String(v) : v;
+	switch (operator) {
+		case 'eq': return value !== null && value !== undefined && comparable(value) == comparable(operand);
+		case 'neq': return value !== null && value !== undefined && comparable(value) != comparable(operand);
+		case 'gt': return value !== null && value !== undefined && value > operand;
+		case 'gte': return value !== null && value !== undefined && value >= operand;
+		case 'lt': return value !== null && value !== undefined && value < operand;
+		case 'lte': return value !== null && value !== undefined && value <= operand;
+		case 'is': return operand === null || operand == 'null' ? value === null || value === undefined : value === operand;
+		case 'in': {
+			let options = Array.isArray(operand) ? operand : String(operand).replace(/^\(|\)$/g, '').split(',');
+			return options.some(option => comparable(option) == comparable(value));
+		}
+		case 'like':
+		case 'ilike': {
+			let pattern = new RegExp('^' + String(operand).replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/[%*]/g, '.*').replace(/_/g, '.') + '$', operator == 'ilike' ? 'i' : '');
+			return typeof value == 'string' && pattern.test(value);
+		}
+		default:
+			throw new Error(`FakeSupabase does not support the "${operator}" filter operator`);
+	}
+}
+
+
+/**
+* Determine if a row matches a Supabase realtime filter of the form `column=operator.value`
+*
+* @param {Object} row The row to examine
+* @param {String} filter The realtime filter
+* @returns {Boolean} Whether the row matches
+*/
+function matchRealtimeFilter(row, filter) {
+	let [, column, operator, operand] = /^(.+?)=(\w+)\.(.*)$/.exec(filter) || [];
+	if (!column) throw new Error(`Unable to parse realtime filter "${filter}"`);
+	return matchFilter(columnValue(row, column), operator, operand);
+}
+
+
+/**
+* Create a response simulating a network failure
+* @returns {Object} A Supabase style response
+*/
+function offlineResponse() {
+	return {data: null, error: {message: 'TypeError: fetch failed', details: '', hint: '', code: ''}, count: null, status: 0, statusText: ''};
+}
+
+
+/**
+* Create a response simulating a server error
+*
+* @param {Number} status The HTTP status code
+* @param {String} code The Postgres / PostgREST error code
+* @param {String} message The error message
+* @param {String} [details] Additional error details
+*
+* @returns {Object} A Supabase style response
+*/
+function errorResponse(status, code, message, details = '') {
+	return {data: null, error: {message, details, hint: '', code}, count: null, status, statusText: ''};
+}
+
+
+/**
+* In-memory database shared between FakeSupabase clients, see `createDatabase()`
+*
+* @typedef {Object} FakeDatabase
+* @property {String} primaryKey The primary key column of all tables
+* @property {Map<String, Array<Object>>} tables Rows of each table keyed by `schema.table`
+* @property {Set<Object>} channels All subscribed channels across all clients
+* @property {Function} table Fetch the live rows of a table. Called as `(schema:String, table:String)`
+* @property {Function} createRow Create a new row from inserted values. Called as `(values:Object)`
+* @property {Function} broadcast Broadcast a change to all subscribed channels. Called as `(schema:String, table:String, eventType:String, newRow:Object, oldRow:Object)`
+* @property {Function} send Send a broadcast message to all subscribed channels of a topic. Called as `(topic:String, message:Object, sender:Object)`
+* @property {Function} syncPresence Notify all subscribed channels of a topic that its presence state has changed. Called as `(topic:String)`
+*/
+
+
+/**
+* In-memory Supabase client, see `FakeSupabase()`
+*
+* @typedef {Object} FakeSupabase
+* @property {FakeDatabase} database The database the client reads + writes
+* @property {Function} from Create a query builder against a table in the public schema. Called as `(table:String)`
+* @property {Function} schema Select a schema to query. Called as `(schema:String)` and returns an object with `from()` + `rpc()`
+* @property {Function} rpc Call an RPC function. Called as `(fn:String, params:Object)`
+* @property {Function} channel Create a realtime channel. Called as `(name:String, options:Object)`
+* @property {Function} getChannels Return all channels created by this client
+* @property {Function} removeChannel Unsubscribe + remove a channel. Called as `(channel:Object)`
+* @property {Function} removeAllChannels Unsubscribe + remove all channels
+* @property {Function} setOnline Simulate the server becoming (un)reachable. Called as `(online:Boolean)`
+*/
@@ -0,0 +1,230 @@
+import {isPlainObject} from 'lodash-es';
+
+/**
+* Supported filter operators, each matching the PostgREST operator + Supabase query builder method of the same name
+* @type {Array<String>}
+*/
+export const operators = ['eq', 'neq', 'gt', 'gte', 'lt', 'lte', 'in', 'is', 'like', 'ilike'];
+
+
+/**
+* Operators which can be checked client side against the raw PostgREST values of legacy filter tuples
+* @type {Array<String>}
+*/
+const rawOperators = ['eq', 'neq', 'gt', 'gte', 'lt', 'lte', 'like', 'ilike'];
+
+
+/**
+* Operators which Supabase realtime can filter on server side
+* @type {Array<String>}
+*/
+const realtimeOperators = ['eq', 'neq', 'gt', 'gte', 'lt', 'lte', 'in'];
+
+
+/**
+* Normalize a filter into a list of conditions, all of which must match
+*
+* Structured filters are objects where each key is a column and each value is either:
+* - A scalar to match exactly (`{status: 'open'}`)
+* - An array of values to match any of (`{status: ['open', 'pending']}`)
+* - `null` to match empty columns (`{deleted_at: null}`)
+* - An object of operators (`{priority: {gte: 3, lt: 10}}`)
+*
+* Columns can also reference keys within JSON columns using the PostgREST arrow syntax (e.g. `'data->>status'`)
+* The legacy `[column, operator, value]` tuple (or an array of tuples) is also accepted, these are passed as-is to `query.filter()` so any PostgREST operator (e.g. `cs`, `ov`, `fts`, `not.eq`) works
+*
+* @param {Object|Array} filter The filter to normalize
+* @returns {Null|Array<FilterCondition>} The conditions of the filter or null if there is no filter
+*/
+export function normalizeFilter(filter) {
+	if (!filter) return null;
+
+	let conditions = Array.isArray(filter)
+		? (Array.isArray(filter[0]) ? filter : [filter]).map(([column, operator, value]) => ({column, operator, value, raw: true}))
+		: Object.entries(filter).flatMap(([column, spec]) =>
+			isPlainObject(spec) ? Object.entries(spec).map(([operator, value]) => ({column, operator, value}))
+			: Array.isArray(spec) ? [{column, operator: 'in', value: spec}]
+			: spec === null ? [{column, operator: 'is', value: null}]
+			: [{column, operator: 'eq', value: spec}]
+		);
+
+	conditions.forEach(({operator, raw}) => {
+		if (!raw && !operators.includes(operator)) throw new Error(`Unknown filter operator "${operator}", expected one of ${operators.join(', ')}`);
+	});
+
+	return conditions.length ? conditions : null;
+}
+
+
+/**
+* Normalize a sort order into a list of sort columns
+*
+* @param {String|Array<String|Object>} order Either a PostgREST style order string (e.g. `'priority.desc,created_at'`) or an array of strings / `{column, ascending, nullsFirst}` objects
+* @returns {Null|Array<SortColumn>} The sort columns or null if there is no order
+*/
+export function normalizeOrder(order) {
+	if (!order) return null;
+
+	return (typeof order == 'string' ? order.split(',') : [].concat(order))
+		.map(spec => {
+			if (typeof spec != 'string') return {ascending: true, ...spec};
+			let [column, ...modifiers] = spec.trim().split('.');
+			return {
+				column,
+				ascending: !modifiers.includes('desc'),
+				...(modifiers.includes('nullsfirst') && {nullsFirst: true}),
+				...(modifiers.includes('nullslast') && {nullsFirst: false}),
+			};
+		});
+}
+
+
+/**
+* Apply filter conditions + a sort order to a Supabase query
+*
+* @param {PostgrestFilterBuilder} query The query to mutate
+* @param {Null|Array<FilterCondition>} conditions The filter conditions to apply
+* @param {Null|Array<SortColumn>} [order] The sort order to apply
+*
+* @returns {PostgrestFilterBuilder} The mutated query
+*/
+export function applyFilter(query, conditions, order) {
+	(conditions || []).forEach(({column, operator, value, raw}) => {
+		if (value instanceof Date) value = value.toISOString();
+		if (raw) {
+			query.filter(column, operator, value);
+		} else {
+			query[operator](column, value);
+		}
+	});
+
+	(order || []).forEach(({column, ascending, nullsFirst}) =>
+		query.order(column, {ascending, nullsFirst})
+	);
+
+	return query;
+}
+
+
+/**
+* Compile filter conditions into a Supabase realtime filter string
+* Realtime only supports a single condition with a limited set of operators so the first compatible condition is used, all conditions should still be checked client side via `matchFilter()`
+*
+* @param {Null|Array<FilterCondition>} conditions The filter conditions to compile
+* @returns {String|undefined} The realtime filter of the form `column=operator.value` or undefined if no condition can be expressed
+*/
+export function realtimeFilter(conditions) {
+	let format = value => value instanceof Date ? value.toISOString() : String(value);
+	let isSafe = value => value instanceof Date || (value !== null && value !== undefined && typeof value != 'object');
+
+	let condition = (conditions || []).find(({column, operator, value, raw}) =>
+		realtimeOperators.includes(operator)
+		&& (!raw || operator != 'in') // Raw `in` values are already PostgREST encoded lists
+		&& !column.includes('->') // Realtime can't reach into JSON columns
+		&& (operator == 'in'
+			? Array.isArray(value) && value.length <= 100 && value.every(v => isSafe(v) && !/[,()]/.test(format(v)))
+			: isSafe(value)
+		)
+	);
+	if (!condition) return;
+
+	return condition.operator == 'in'
+		? `${condition.column}=in.(${condition.value.map(format).join(',')})`
+		: `${condition.column}=${condition.operator}.${format(condition.value)}`;
+}
+
+
+/**
+* Determine if a raw Supabase row matches all filter conditions
+*
+* @param {Object} row The raw row to examine
+* @param {Null|Array<FilterCondition>} conditions The filter conditions to match
+* @returns {Boolean} Whether the row matches
+*/
+export function matchFilter(row, conditions) {
+	return (conditions || []).every(({column, operator, value: operand, raw}) => {
+		if (raw && operator.startsWith('not.') && rawOperators.includes(operator.slice(4))) return ![null, undefined].includes(columnValue(row, column)) && !matchFilter(row, [{column, operator: operator.slice(4), value: operand}]);
+		if (raw && !rawOperators.includes(operator)) return true; // PostgREST only operators can't be checked locally so trust the server
+
+		let value = columnValue(row, column);
+		let compare = (a, b) => b instanceof Date ? new Date(a).getTime() - b.getTime()
+			: a < b ? -1 : a > b ? 1 : 0;
+		let isEqualTo = option => option instanceof Date ? compare(value, option) == 0 : value == option; // Loose compare as realtime rows may encode numerics as strings
+
+		if (operator == 'is') return operand === null ? value === null || value === undefined : value === operand;
+		if (value === null || value === undefined) return false; // SQL NULL never matches any other operator
+
+		switch (operator) {
+			case 'eq': return isEqualTo(operand);
+			case 'neq': return !isEqualTo(operand);
+			case 'gt': return compare(value, operand) > 0;
+			case 'gte': return compare(value, operand) >= 0;
+			case 'lt': return compare(value, operand) < 0;
+			case 'lte': return compare(value, operand) <= 0;
+			case 'in': return operand.some(isEqualTo);
+			case 'like':
+			case 'ilike':
+				return new RegExp(
+					'^' + String(operand).replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/[%*]/g, '.*').replace(/_/g, '.') + '$',
+					operator == 'ilike' ? 'i' : '',
+				).test(value);
+		}
+	});
+}
+
+
+/**
+* Fetch the value of a column from a raw row, resolving PostgREST JSON arrow paths (e.g. `data->meta->>status`)
+*
+* @param {Object} row The raw row to examine
+* @param {String} column The column name or JSON path
+* @returns {*} The column value or undefined if the path does not exist
+*/
+export function columnValue(row, column) {
+	return column.split(/->>?/).reduce((value, key) => value?.[key], row);
+}
+
+
+/**
+* Compare two sets of sort values using a sort order
+* Nulls sort last when ascending and first when descending unless `nullsFirst` is specified, matching Postgres
+*
+* @param {Object} a The sort values (or row) of the first item
+* @param {Object} b The sort values (or row) of the second item
+* @param {Array<SortColumn>} order The sort order to apply
+*
+* @returns {Number} A negative number if `a` sorts first, positive if `b` sorts first, zero if they are equal
+*/
+export function compareOrder(a, b, order) {
+	for (let {column, ascending, nullsFirst = !ascending} of order) {
+		let aValue = (a && columnValue(a, column)) ?? null;
+		let bValue = (b && columnValue(b, column)) ?? null;
+		if (aValue === bValue) continue;
+		if (aValue === null) return nullsFirst ? -1 : 1;
+		if (bValue === null) return nullsFirst ? 1 : -1;
+		if (aValue < bValue) return ascending ? -1 : 1;
+		if (aValue > bValue) return ascending ? 1 : -1;
+	}
+	return 0;
+}
+
+
+/**
+* A single condition within a normalized filter
+*
+* @typedef {Object} FilterCondition
+* @property {String} column The table column to compare
+* @property {String} operator The operator to use, see `operators`
+* @property {*} value The value to compare against, an array for the `in` operator
+* @property {Boolean} [raw] Whether the condition came from a legacy filter tuple and is passed as-is to `query.filter()`
+*/
+
+
+/**
+* A single column within a normalized sort order
+*
+* @typedef {Object} SortColumn
+* @property {String} column The table column to sort by
+* @property {Boolean} ascending Whether to sort in ascending order
+* @property {Boolean} [nullsFirst] Whether nulls sort before other values, defaults to the Postgres behaviour
+*/
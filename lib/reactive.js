@@ -1,5 +1,50 @@
-import {cloneDeepWith, debounce, isPlainObject} from 'lodash-es';
-import {nextTick, reactive as VueReactive, watch as VueWatch} from 'vue';
+import {cloneDeep, cloneDeepWith, debounce, isEmpty, isEqual, isPlainObject, mapValues, omit, pick} from 'lodash-es';
+import jsonPatch from 'fast-json-patch';
+import * as ProxyAdapter from './adapters/proxy.js';
+import MemoryStorage from './storage/memory.js';
+import validate from './schema.js';
+import {applyFilter, compareOrder, matchFilter, normalizeFilter, normalizeOrder, realtimeFilter} from './filter.js';
+import {ConflictError, NetworkError, NotFoundError, PermissionDeniedError, RemoteError, ValidationError} from './errors.js';
+
+/**
+* Registry of shared reactives (created with `{shared:true}`)
+* Keyed by the Supabase client then by the table / row, each entry holds the reactive + its number of consumers
+*
+* @type {WeakMap<Supabase, Map<String, {reactive:Reactive, ready:Promise<Reactive>, consumers:Number}>>}
+*/
+let sharedReactives = new WeakMap();
+
+
+/**
+* Registry of the queue keys in use by live reactives within this process
+* Keyed by the `queueStorage` adapter, so reactives sharing a storage adapter never persist their queues under the same key
+*
+* @type {WeakMap<QueueStorage, Set<String>>}
+*/
+let queueKeys = new WeakMap();
+
+
+/**
+* Registry which frees the queue keys of reactives garbage collected without calling `$destroy()` (e.g. unused rows of `SupabaseReactive.map()`)
+* Otherwise a later reactive for the same row would be given a suffixed key and not restore its queue
+*
+* @type {FinalizationRegistry}
+*/
+let queueKeyRegistry = new FinalizationRegistry(({storage, key}) => queueKeys.get(storage)?.delete(key));
+
+
+/**
+* The `format` identifying envelopes created by `$export({format: 'envelope'})`
+* @type {String}
+*/
+let envelopeFormat = 'supabase-reactive';
+
+
+/**
+* The current version of the envelope structure, envelopes with a newer version are rejected by `$import()`
+* @type {Number}
+*/
+let envelopeVersion = 1;
 
 /**
 * Return a reactive object (or array) which syncs local and remote state
@@ -17,26 +62,63 @@ import {nextTick, reactive as VueReactive, watch as VueWatch} from 'vue';
 * @param {Boolean} [options.watch=true] Allow watching for local changes and write them to the remote server if enabled
 * @param {Boolean} [options.write=true] Allow writing back local changes to the Supabase server
 * @param {Boolean} [options.attachReactives=true] Expose all utility functions as '$' prefixed functions to control the local state
+* @param {Boolean} [options.shared=false] Share one underlying reactive between all callers using the same Supabase client, table + ID (or filter). Options from the first caller are used, the reactive is only torn down when every consumer has called `$destroy()`
+* @param {String} [options.broadcast] Sync an ephemeral state between all clients in the named room via Supabase Realtime broadcast messages, never reading from or writing to a table. See `SupabaseReactive.broadcast()`
+* @param {Boolean|Object} [options.presence=false] Enable collaborator awareness via `$presence` using Supabase Realtime presence on the reactive's channel. Either `true` or an object of the form `{key}` where key identifies this client to its peers (defaults to a random ID)
+* @param {Boolean} [options.init=true] Automatically call `$init()` and resolve once the reactive is ready. If false the reactive is returned immediately and `$init()` must be called manually
 * @param {Object} [options.throttle] Lodash debounce options + `wait` key used to throttle all writes, set to falsy to disable
 *
+* @param {String} [options.dbSchema] Postgres schema of the table, defaults to the default schema of the Supabase client (usually 'public'). Can also be set via paths of the form `schema.table/id`
 * @param {String} [options.idColumn='id'] Row ID column to sync with
-* @param {Object} [options.filter] Query filter to use when accessing multiple rows
+* @param {Object|Array} [options.filter] Query filter to use when accessing multiple rows. An object of `column => value` (matched exactly), `column => Array` (matched by any value), `column => null` (matched by empty values) or `column => {operator: value}` where operator is one of `eq`, `neq`, `gt`, `gte`, `lt`, `lte`, `in`, `is`, `like` or `ilike`. Legacy `[column, operator, value]` tuples (or arrays of tuples) are passed as-is to `query.filter()`. Conditions realtime can't express are matched client side
+* @param {String|Array} [options.order] Sort order of `isArray` rows, either a PostgREST style string (e.g. `'priority.desc,created_at'`) or an array of `{column, ascending, nullsFirst}` objects. Remote inserts are positioned by this order
+* @param {Number} [options.limit] Maximum number of `isArray` rows to fetch
+* @param {Array<Number>} [options.range] Inclusive `[from, to]` offsets of the `isArray` rows to fetch
+* @param {Number} [options.pageSize] Paginate `isArray` rows, loading only the first page initially. Further pages are loaded via `$loadMore()` or `$page(n)`
 * @param {String} [options.dataColumn='data'] Data / JSONB column to sync data with
+* @param {Array<String>|Object} [options.columns] Map each top-level key to its own table column instead of using `dataColumn`. Either an array of keys or an object of `key => true|columnName|ColumnSpec`
 * @param {String} [options.timestampColumn='edited_at'] Timezone+TZ column to use when syncing data
 * @param {String} [options.versionColumn] Optional version column, this increments on each write and is only really useful for debugging purposes
+* @param {Object|Function} [options.schema] Optional schema to validate outgoing + incoming data against, rejecting invalid data with a ValidationError. Either a JSON Schema object, a Zod-style object with `safeParse()` or a function returning true / undefined if valid, false / message(s) if invalid. For `isArray` reactives each item is validated
+* @param {Array<Function>} [options.migrations] Ordered upgrade steps for documents stored in an older shape. Step N is called as `(doc:Object)` to upgrade a document at migration version N and should return (or resolve with) the upgraded document
+* @param {String} [options.migrationKey='docVersion'] The document key used to store the migration version of each document
+* @param {String} [options.migrationColumn] Optional table column used to store the migration version instead of `migrationKey`
+* @param {CrdtAdapter} [options.crdt] Back single row reactives with a CRDT document so concurrent edits merge rather than conflict, see `lib/crdt/`. Binary updates are appended to `crdtTable` rather than written to the row
+* @param {String} [options.crdtTable='supabase_reactive_updates'] The append-only table holding the CRDT updates of each document, see `sql/crdt.sql`. The table is within the `public` schema (regardless of `dbSchema`) unless given as `schema.table`
+* @param {Number} [options.crdtCompactAfter=100] Replace the stored CRDT updates of a document with a single update once more than this many are read, set to 0 to disable
+* @param {String} [options.historyTable] Optional append-only table to record each local write of single row reactives in, along with its diff, author + version, see `sql/history.sql`, `$auditLog()`, `$at()` and `$revert()`. The table is within the `public` schema (regardless of `dbSchema`) unless given as `schema.table`
+* @param {Boolean} [options.createMissing=true] Treat a missing row as an empty document which is created on the first write. If falsy reading a missing row rejects with a NotFoundError
+* @param {String} [options.writeMode='upsert'] How to write local changes to single rows. 'upsert' writes the entire document, 'patch' writes only the RFC 6902 JSON-Patch against the last synced state via `patchFunction`
+* @param {String} [options.patchFunction='supabase_reactive_patch'] The Postgres function to call via `rpc()` when `writeMode='patch'`, see `sql/patch.sql`
+* @param {Number} [options.retries=3] How many times to re-read + retry a write which conflicts with the server version before giving up
+* @param {Number} [options.retryDelay=100] How long to wait (at minimum) between retries
+* @param {Function} [options.retryBackoff] Async backoff function timer, defaults to a linear delay based on the try number * retryDelay. Called as `(attempt:Number, settings:Object)`
+* @param {String|Function} [options.conflictStrategy='clientWins'] How to resolve concurrent edits. Either the name of a strategy within `conflictStrategies` or a function called as `(local:Object, remote:Object, base:Object)` which returns the merged state
+*
+* @param {QueueStorage|Boolean} [options.queueStorage=true] Storage adapter used to hold (and persist) writes while the server is unreachable, `true` uses in-memory storage private to this reactive. Set to falsy to disable queuing
+* @param {Number} [options.probeInterval=5000] How often in milliseconds to probe the server while it is unreachable
+* @param {Function} [options.generateId] Function used to allocate IDs for isArray items created while offline. Defaults to `crypto.randomUUID()`
+*
+* @param {Number} [options.historySize=100] Maximum number of local changes to keep for `$undo()`, set to 0 to disable undo history
 *
-* @param {Function} [options.reactiveCreate] Async function used to create an observable / reactive data entity from its input. Defaults to Vue's reactive function
-* @param {Function} [options.reactiveWatch] Async function used to create a watch on the created reactive. Defaults to Vue's watch function
+* @param {ReactivityAdapter} [options.adapter] The reactivity system to use, see `lib/adapters/`. Defaults to a dependency-free Proxy observer
+* @param {Function} [options.reactiveCreate] Function used to create an observable / reactive data entity from its input. Defaults to `adapter.create`
+* @param {Function} [options.reactiveWatch] Function used to create a deep watch on the created reactive, returning a function to release it. Defaults to `adapter.watch`
+* @param {Function} [options.reactiveNextTick] Async function which resolves once pending reactive updates have been dispatched. Defaults to `adapter.nextTick`
 *
 * @param {Function} [options.onInit] Async function when first populating data from the remote. Called as `(data:Object|Array)`
 * @param {Function} [options.onRead] Async function called on subsequent reads when populating data from the remote. Called as `(data:Object|Array)`
 * @param {Function} [options.onChange] Async function called when a detected local write is about to be sent to the remote. Called as `(dataPayload:Object|Array)`
+* @param {Function} [options.onConflict] Async function called when a local change conflicts with a server change, before the conflict is resolved. Called as `(local:Object, remote:Object)`
+* @param {Function} [options.onError] Async function called when a remote operation fails. Called as `(err:SupabaseReactiveError, context:String)` where context is one of 'read', 'write', 'remote', 'replay', 'subscribe', 'presence' or 'history'
+* @param {Function} [options.onDelete] Async function called when the remote row is deleted. Called as `(data:Reactive)` for single rows or `(row:Object)` with the deleted row for `isArray` reactives
 * @param {Function} [options.onDestroy] Async function called when destroying state. Called as `(data:Reactive)`
 *
 * @param {Function|Boolean} [options.debug] Optional debugging function callback. Called as `(...msg:Any)`
+* @param {Function} [options.channelName] Function which returns the unique realtime channel name to use for this reactive. Called as `(settings: Object)`. Names must be unique within each Supabase client, subscribing to a name already in use rejects
 * @param {Function} [options.splitPath] Path parser, expected to decorate the `settings` object. Called as `(path: String, settings: Object)` and expected to mutate the settings state
 *
-* @returns {Promise<Reactive>} An eventual reactive Object/Array with utility functions (if `{attachReactives:true}`)
+* @returns {Promise<Reactive>|Reactive} An eventual reactive Object/Array with utility functions (if `{attachReactives:true}`), or the reactive itself if `{init:false}`
 */
 export default function SupabaseReactive(path, options) {
 	let settings = {
@@ -47,13 +129,106 @@ export default function SupabaseReactive(path, options) {
 	// Settings init
 	if (!settings.supabase) throw new Error('No `supabase` setting given');
 	if (typeof path == 'string') settings.splitPath(path, settings);
+	if (typeof settings.conflictStrategy == 'string') {
+		if (!conflictStrategies[settings.conflictStrategy]) throw new Error(`Unknown conflictStrategy "${settings.conflictStrategy}"`);
+		settings.conflictStrategy = conflictStrategies[settings.conflictStrategy];
+	}
+	if (settings.migrationColumn && settings.writeMode == 'patch') throw new Error('`writeMode=patch` is not supported with `migrationColumn`, use `migrationKey` instead');
+	if (settings.columns) {
+		if (settings.writeMode == 'patch') throw new Error('`writeMode=patch` is not supported with `columns`, only changed columns are written anyway');
+		settings.columns = mapValues(
+			Array.isArray(settings.columns)
+				? Object.fromEntries(settings.columns.map(key => [key, true]))
+				: settings.columns,
+			(spec, key) => {
+				spec = spec === true ? {} : typeof spec == 'string' ? {column: spec} : spec;
+				let serializer = typeof spec.serializer == 'string' ? serializers[spec.serializer] : spec.serializer;
+				if (spec.serializer && !serializer) throw new Error(`Unknown serializer "${spec.serializer}" for column "${key}"`);
+
+				return {
+					column: spec.column || key,
+					serialize: serializer?.serialize || (v => v),
+					deserialize: serializer?.deserialize || (v => v),
+				};
+			},
+		);
+	}
+
+	settings.filter = normalizeFilter(settings.filter);
+	settings.order = normalizeOrder(settings.order);
+	if ((settings.order || settings.limit || settings.range || settings.pageSize) && !settings.isArray) throw new Error('`order`, `limit`, `range` and `pageSize` are only supported with `isArray`');
+	if (settings.pageSize && (settings.limit || settings.range)) throw new Error('`pageSize` cannot be combined with `limit` or `range`');
+	if (settings.crdt && (settings.isArray || settings.columns || settings.broadcast || settings.writeMode == 'patch')) throw new Error('`crdt` is only supported by single row reactives without `columns`, `broadcast` or `writeMode=patch`');
+	if (settings.historyTable && (settings.isArray || settings.broadcast || settings.crdt)) throw new Error('`historyTable` is only supported by single row reactives without `broadcast` or `crdt`');
+	if (settings.broadcast) Object.assign(settings, {
+		read: false, // Broadcast state is never stored so there is nothing to read
+		write: true, // Required to subscribe to the room
+		queueStorage: null, // Don't replay stale ephemeral state
+	});
+	if (settings.queueStorage === true) settings.queueStorage = MemoryStorage(); // Each reactive gets its own in-memory queue
+
+	settings.reactiveCreate ??= settings.adapter.create;
+	settings.reactiveWatch ??= settings.adapter.watch;
+	settings.reactiveNextTick ??= settings.adapter.nextTick;
 
 	settings.debug = settings.debug && typeof settings.debug == 'function' ? settings.debug.bind(settings) // Given a debug function
 		: settings.debug === false ? ()=> {}
 		: console.log.bind(settings, `[SUPABASE/${settings.table}/${settings.id}]`);
 
+	// Key identifying the table / row (and filters) of this reactive
+	let sharedKey = (settings.broadcast
+		? `supabase-reactive/broadcast/${settings.broadcast}`
+		: `supabase-reactive/${settings.dbSchema ? `${settings.dbSchema}.` : ''}${settings.table}/${settings.id || '*'}`
+	) + (settings.filter || settings.order || settings.limit || settings.range || settings.pageSize
+		? `?${JSON.stringify([settings.filter, settings.order, settings.limit, settings.range, settings.pageSize])}`
+		: ''
+	);
+
+	// Reuse an existing shared reactive if there is one
+	let sharedLookup = settings.shared
+		&& (sharedReactives.get(settings.supabase) || sharedReactives.set(settings.supabase, new Map()).get(settings.supabase));
+	let shared = sharedLookup && sharedLookup.get(sharedKey);
+	if (shared) {
+		shared.consumers++;
+		settings.debug('Reuse shared reactive', `(${shared.consumers} consumers)`);
+		return settings.init ? shared.ready : shared.reactive;
+	}
+
 	let reactive = settings.reactiveCreate(!settings.isArray ? {} : []);
 
+	/**
+	* The CRDT document backing the reactive if `crdt` is enabled
+	* This is held outside of `$meta` so the reactivity adapter never wraps it
+	* @type {*}
+	*/
+	let crdtDoc = settings.crdt ? settings.crdt.create() : null;
+
+	/**
+	* Key used to persist queued writes via `queueStorage`
+	* If another live reactive already uses the key within the same storage (e.g. a non-shared reactive of the same row) it is suffixed so each reactive keeps its own queue. Suffixes are allocated in order so a later session restores the queue of its equivalent reactive
+	* @type {String}
+	*/
+	let queueKey = sharedKey;
+	if (settings.queueStorage) {
+		let usedKeys = queueKeys.get(settings.queueStorage) || queueKeys.set(settings.queueStorage, new Set()).get(settings.queueStorage);
+		for (let slot = 2; usedKeys.has(queueKey); slot++) queueKey = `${sharedKey}#${slot}`;
+		usedKeys.add(queueKey);
+		queueKeyRegistry.register(reactive, {storage: settings.queueStorage, key: queueKey}, reactive);
+	}
+
+	/**
+	* The Supabase realtime channel owned by this reactive, exposed as `$meta.channel`
+	* This is kept outside of `$meta` as channels are circular (so can't be serialized) and shouldn't be made reactive
+	* @type {Null|RealtimeChannel}
+	*/
+	let realtimeChannel = null;
+
+	/**
+	* Local changes made before the initial read completed, these are written once the reactive is watched rather than being replaced by the read
+	* @type {Null|Object}
+	*/
+	let earlyChanges = null;
+
 	/**
 	* Base reactive functionality mapped onto the output as non-enumerable functions
 	* These are Functions appended to the binding which can be called to perform various utility actions
@@ -70,18 +245,77 @@ export default function SupabaseReactive(path, options) {
 		* @property {Null|Date} timestamp The last known timestamp of data from the server (or NULL if no data has been pulled yet)
 		* @property {Null|Number} If a versioning column is enabled this represents the last known version of the data, similar to $meta.timestamp
 		* @property {Boolean} Whether the state is being updated locally - indicates that local watchers should ignore incoming change detection
+		* @property {Boolean} isDeleted Whether the remote row has been deleted by another client, local changes are no longer written if this is set
 		* @property {Function} [watcher] Optional watch() binding to release a local watcher
+		* @property {RealtimeChannel} [channel] The Supabase realtime channel owned by this reactive if subscribed to remote changes, this is a non-enumerable getter so is skipped when serializing `$meta`
+		* @property {Null|Object} snapshot If not `isArray` this is the last-synced state of the document, used as the base when calculating JSON-Patches. For `broadcast` reactives this is the last state sent or received
 		* @property {Array<SetQueueItem>} setQueue Pending $set operations (appended to when a $set occurs while another is in progress)
+		* @property {String} status The current state of remote operations. ENUM: 'idle', 'loading', 'saving', 'error'
+		* @property {Null|Error} error The last error from a remote operation, cleared by the next successful read or write
+		* @property {Boolean} online Whether the server is believed to be reachable, writes are queued while this is false
+		* @property {Number} pendingWrites The number of writes queued until the server is reachable
+		* @property {Array<QueueItem>} writeQueue Outbound writes queued until the server is reachable
+		* @property {Number} [probeTimer] Interval timer handle used to probe the server while offline
+		* @property {Object<RowSnapshot>} rows If `isArray` this is a lookup of each last-synced row by its ID, used to calculate which rows need writing
+		* @property {Array<HistoryEntry>} undoStack Local changes which can be undone via `$undo()`, oldest first
+		* @property {Array<HistoryEntry>} redoStack Undone changes which can be redone via `$redo()`, most recently undone last
+		* @property {Null|Object|Array} historyBase The local state as of the last recorded history entry (or remote / `$set()` change), used to calculate the next entry
+		* @property {Null|Array<Number>} range If `pageSize` is set this is the inclusive `[from, to]` offsets of the loaded rows
+		* @property {Null|Number} total If `pageSize` is set this is the total number of rows matching the filter, including those not yet loaded
+		* @property {Boolean} hasMore If `pageSize` is set this indicates if there are rows after the loaded range which can be fetched via `$loadMore()`
 		*/
-		$meta: settings.reactiveCreate({
-			id: settings.id,
-			table: settings.table,
-			timestamp: null,
-			version: null,
-			isUpdating: false,
-			watcher: null,
-			setQueue: [],
-		}),
+		$meta: Object.defineProperty(
+			settings.reactiveCreate({
+				id: settings.id,
+				table: settings.table,
+				timestamp: null,
+				version: null,
+				isUpdating: false,
+				isDeleted: false,
+				watcher: null,
+				snapshot: null,
+				setQueue: [],
+				status: 'idle',
+				error: null,
+				online: true,
+				pendingWrites: 0,
+				writeQueue: [],
+				probeTimer: null,
+				rows: {},
+				undoStack: [],
+				redoStack: [],
+				historyBase: null,
+				range: settings.pageSize ? [0, settings.pageSize - 1] : null,
+				total: null,
+				hasMore: false,
+			}),
+			'channel',
+			{get: ()=> realtimeChannel},
+		),
+
+
+		/**
+		* Collaborator awareness via Supabase Realtime presence on the reactive's channel
+		* Only available if the `presence` option is enabled
+		*
+		* @type {Object}
+		* @property {String} key The key this client tracks its presence against
+		* @property {Null|Object} state The state this client is sharing with peers or null if not tracked
+		* @property {Array<Object>} peers Other clients on the channel which are sharing their state, each of the form `{key, ...state}`. Peers are removed when they untrack or their connection drops
+		* @property {Function} track Async function to share this clients state (e.g. `{user, cursor}`) with peers, replacing any previous state. Called as `(state:Object)`
+		* @property {Function} untrack Async function to stop sharing this clients state
+		*/
+		$presence: Object.defineProperties(
+			settings.reactiveCreate({
+				key: settings.presence?.key || settings.generateId(),
+				state: null,
+				peers: [],
+			}),
+			{
+				track: {value: state => reactives.$track(state)},
+				untrack: {value: ()=> reactives.$track(null)},
+			},
+		),
 
 
 		/**
@@ -97,14 +331,23 @@ export default function SupabaseReactive(path, options) {
 
 
 		/**
-		* Wait for Vue to update + a set amount of time to expire
+		* Snapshot of an individual row when working with an `isArray` reactive
+		*
+		* @typedef {Object} RowSnapshot
+		* @property {Object} data The last-synced data payload of the row (without its ID)
+		* @property {Null|Number} version The last known version of the row if `versionColumn` is enabled
+		*/
+
+
+		/**
+		* Wait for the reactivity adapter to update + a set amount of time to expire
 		* This is used within $set() to correctly release the write lock
 		*
-		* @param {Number} delay Time in milliseconds to wait alongside Vue.$nextTick
-		* @returns {Promise} A promise which will resolve when both Vue has moved on a tick + a set timeout has occured
+		* @param {Number} delay Time in milliseconds to wait alongside `reactiveNextTick()`
+		* @returns {Promise} A promise which will resolve when both the adapter has moved on a tick + a set timeout has occured
 		*/
 		async $waitTick(delay) {
-			await nextTick();
+			await settings.reactiveNextTick();
 
 			await new Promise(resolve =>
 				setTimeout(()=> resolve(), delay)
@@ -119,13 +362,11 @@ export default function SupabaseReactive(path, options) {
 		*
 		* @param {Object} [options] Additional options to mutate behaviour
 		* @param {Boolean} [options.markUpdating=true] Mark the object as within an update to prevent recursion + disable local observers
-		* @param {Number} [options.updateDelay=100] Additional time in milliseconds to wait (as well as Vue.$nextTick) before releasing the write lock to prevent change collisions
+		* @param {Number} [options.updateDelay=100] Additional time in milliseconds to wait (as well as `reactiveNextTick()`) before releasing the write lock to prevent change collisions
 		* @param {Boolean} [options.removeKeys=true] Clean out dead reactive keys if the new state doesn't also contain them
+		* @param {Boolean} [options.patch=false] Apply the new state as a minimal JSON-Patch against the current state rather than assigning it (implies `removeKeys`)
 		* @param {Date} [options.timestamp] Set the reactive timestamp if provided
 		* @param {Number} [options.version] Set the reactive version if provided
-		* @param {Number} [options.retries=3] How many times to retry setting before giving up
-		* @param {Number} [options.retryDelay=100] How long to wait (at minimum) between retries
-		* @param {Function} [options.retryBackoff] Async backoff function timer, defaults to a linear delay based on the try number * retryDelay
 		*
 		* @returns {Promise} A promise which resolves when the operation has completed
 		*/
@@ -134,6 +375,7 @@ export default function SupabaseReactive(path, options) {
 				markUpdating: true,
 				updateDelay: 1000,
 				removeKeys: true,
+				patch: false,
 				timestamp: null,
 				version: null,
 				queue: true,
@@ -167,10 +409,18 @@ export default function SupabaseReactive(path, options) {
 			// }}}
 
 			// Apply the data change
-			Object.assign(reactive, data);
+			if (options.patch) { // Apply as a minimal JSON-Patch - only touching the keys that differ
+				jsonPatch.applyPatch(reactive, jsonPatch.compare(reactives.$toObject(), data));
+			} else {
+				Object.assign(reactive, data);
+			}
 
 			// options.removeKeys? {{{
-			if (options.removeKeys) {
+			if (options.patch) {
+				// Pass - Patching already removes keys
+			} else if (options.removeKeys && Array.isArray(reactive)) {
+				reactive.splice(data.length); // Truncate arrays rather than leaving holes where keys used to be
+			} else if (options.removeKeys) {
 				Object.keys(reactive).forEach(key => {
 					if (!(key in data)) {
 						settings.debug('Remove redundent key', key);
@@ -185,6 +435,9 @@ export default function SupabaseReactive(path, options) {
 			if (options.version) reactives.$meta.version = options.version;
 			// }}}
 
+			// Changes made via $set() (e.g. remote changes) are not undoable
+			reactives.$meta.historyBase = reactives.$toObject();
+
 			// Releasing the update lock - this has to be after the next update cycle so we don't get trapped in a $watch->change loop {{{
 			if (options.markUpdating) {
 				await reactives.$waitTick(options.updateDelay);
@@ -221,6 +474,7 @@ export default function SupabaseReactive(path, options) {
 				!/^[$\_]/.test(k) // Key doesn't start with '$' or '_'
 				&& (
 					['string', 'number', 'boolean'].includes(typeof v) // Basic scalar types
+					|| v instanceof Date
 					|| Array.isArray(v)
 					|| isPlainObject(v)
 				)
@@ -230,6 +484,153 @@ export default function SupabaseReactive(path, options) {
 		},
 
 
+		/**
+		* Serialize the state into a portable format so it can be moved between projects + environments, see `$import()`
+		*
+		* @param {Object} [options] Additional options to mutate behaviour
+		* @param {String} [options.format='json'] The format to export. 'json' (the plain state), 'ndjson' (one item per line, `isArray` only) or 'envelope' (JSON wrapping the state with its table, ID, version + timestamp)
+		*
+		* @returns {String} The serialized state
+		*/
+		$export(options) {
+			let format = options?.format || 'json';
+			let data = reactives.$toObject();
+
+			switch (format) {
+				case 'json':
+					return JSON.stringify(data);
+				case 'ndjson':
+					if (!settings.isArray) throw new Error('The `ndjson` format is only supported with `isArray`');
+					return data.map(item => JSON.stringify(item) + '\n').join('');
+				case 'envelope':
+					return JSON.stringify({
+						format: envelopeFormat,
+						formatVersion: envelopeVersion,
+						meta: {
+							table: settings.table,
+							id: settings.isArray ? null : reactives.$meta.id,
+							version: settings.isArray ? null : reactives.$meta.version,
+							timestamp: reactives.$meta.timestamp,
+						},
+						data,
+					});
+				default:
+					throw new Error(`Unknown export format "${format}", expected one of json, ndjson or envelope`);
+			}
+		},
+
+
+		/**
+		* Adopt state serialized by `$export()`, writing it via the usual write path so watchers + other clients see the change
+		* The import is recorded as a single step which `$undo()` reverts
+		* The `meta` of envelopes is informational only, the state can be imported into any reactive of the same shape
+		*
+		* @param {String|Blob|Object|Array} blob The serialized state, a Blob / File containing it or the already parsed state
+		*
+		* @param {Object} [options] Additional options to mutate behaviour
+		* @param {String} [options.mode='replace'] How to combine the imported state with the current state. 'replace' adopts the imported state as is, 'merge' deeply merges it into the current state with imported values winning. `isArray` items are merged by ID with new items appended
+		* @param {String} [options.format] The format of `blob` - 'json', 'ndjson' or 'envelope', detected if omitted
+		*
+		* @returns {Promise} A promise which resolves when the imported state has been written
+		* @throws {ValidationError} If the blob could not be parsed, is not the shape of this reactive or fails `schema` validation
+		*/
+		async $import(blob, options) {
+			let settingsImport = {
+				mode: 'replace',
+				format: null,
+				...options,
+			};
+			if (!['replace', 'merge'].includes(settingsImport.mode)) throw new Error(`Unknown import mode "${settingsImport.mode}", expected replace or merge`);
+
+			let data = reactives.$parseImport(typeof blob?.text == 'function' ? await blob.text() : blob, settingsImport.format);
+			if (settings.isArray ? !Array.isArray(data) : !isPlainObject(data))
+				throw new ValidationError(`Invalid import - expected ${settings.isArray ? 'an array of items' : 'an object'}`);
+
+			if (settingsImport.mode == 'merge') {
+				let current = reactives.$toObject();
+				if (settings.isArray) {
+					let merged = [...current];
+					data.forEach(item => {
+						let index = item.id === undefined ? -1 : merged.findIndex(existing => existing.id == item.id);
+						if (index < 0) {
+							merged.push(item);
+						} else {
+							merged[index] = conflictStrategies.deepMerge(item, merged[index], {});
+						}
+					});
+					data = merged;
+				} else {
+					data = conflictStrategies.deepMerge(data, current, {});
+				}
+			}
+
+			reactives.$validate(data);
+			settings.debug('IMPORT', {mode: settingsImport.mode, data});
+			return reactives.$adoptLocal(data);
+		},
+
+
+		/**
+		* Internal function used by $import() to parse serialized state
+		*
+		* @access private
+		*
+		* @param {String|Object|Array} blob The serialized (or already parsed) state
+		* @param {String} [format] The format of `blob`, detected if omitted
+		*
+		* @returns {Object|Array} The parsed state
+		* @throws {ValidationError} If the blob could not be parsed
+		*/
+		$parseImport(blob, format) {
+			let parseNdjson = ()=> blob.split(/\r?\n/).filter(line => line.trim()).map(line => JSON.parse(line));
+			let parsed = blob;
+			if (typeof blob == 'string') {
+				try {
+					if (format == 'ndjson') {
+						parsed = parseNdjson();
+					} else {
+						try {
+							parsed = JSON.parse(blob);
+						} catch (e) {
+							if (format || !settings.isArray) throw e;
+							parsed = parseNdjson(); // Not a single JSON value - try NDJSON
+						}
+					}
+				} catch (e) {
+					throw new ValidationError(`Invalid import - ${e.message}`);
+				}
+			}
+
+			let isEnvelope = parsed?.format == envelopeFormat;
+			if (!format && settings.isArray && isPlainObject(parsed) && !isEnvelope) parsed = [parsed]; // Single line of NDJSON
+			if (format == 'envelope' && !isEnvelope) throw new ValidationError('Invalid import - not an exported envelope');
+			if (!isEnvelope) return parsed;
+
+			if (!(parsed.formatVersion <= envelopeVersion)) throw new ValidationError(`Invalid import - unsupported envelope version ${parsed.formatVersion}`);
+			return parsed.data;
+		},
+
+
+		/**
+		* Internal function to replace the local state and write it via the usual write path
+		* Unlike other `$set()` calls the change is recorded as a single undoable step
+		*
+		* @access private
+		*
+		* @param {Object|Array} data The new state to adopt
+		* @returns {Promise} A promise which resolves when the state has been written
+		*/
+		async $adoptLocal(data) {
+			reactives.$recordHistory(); // Keep any pending changes as their own step
+			let {historyBase} = reactives.$meta;
+			await reactives.$set(data, {patch: true, updateDelay: 0});
+			reactives.$meta.historyBase = historyBase;
+			reactives.$recordHistory();
+			await reactives.$touchLocal();
+			return reactives.$touchLocal.promise;
+		},
+
+
 		/**
 		* Alias of `$read()`
 		* @alias $read
@@ -242,29 +643,57 @@ export default function SupabaseReactive(path, options) {
 		},
 
 
+		/**
+		* Internal function to create a Supabase query builder against the table, respecting `dbSchema`
+		*
+		* @access private
+		*
+		* @param {String} [table] The table to query, defaults to the table of the reactive
+		* @returns {PostgrestQueryBuilder} A query builder to chain operations from
+		*/
+		$from(table = settings.table) {
+			return (settings.dbSchema ? settings.supabase.schema(settings.dbSchema) : settings.supabase)
+				.from(table);
+		},
+
+
 		/**
 		* Generate a Supabase object representing a query for the current configuration
 		*
+		* @param {Object} [options] Additional options to mutate behaviour
+		* @param {Array<Number>} [options.range] If `pageSize` is set, the inclusive `[from, to]` offsets of the rows to fetch. Defaults to `$meta.range`
+		*
 		* @returns {Promise} A Supabase promise which resolves when the operation has completed
 		*/
-		$getQuery() {
-			let query = settings.supabase
-				.from(settings.table)
+		$getQuery(options) {
+			let query = reactives.$from()
 				.select([
 					settings.idColumn,
 					settings.timestampColumn,
-					settings.dataColumn,
+					...(settings.columns
+						? Object.values(settings.columns).map(spec => spec.column)
+						: [settings.dataColumn]
+					),
 					settings.versionColumn && settings.versionColumn,
-				].filter(Boolean).join(','))
+					settings.migrations?.length && settings.migrationColumn,
+					...(settings.order || []).map(({column}) => column.split('->')[0]), // Base column of any JSON paths
+				].filter((column, index, columns) => column && columns.indexOf(column) == index).join(','), settings.pageSize ? {count: 'exact'} : undefined)
 
 			if (settings.isArray || settings.filter) {
-				query.filter(...settings.filter);
+				applyFilter(query, settings.filter, settings.order);
 			} else {
 				query.eq(settings.idColumn, settings.id);
 			}
 
-			if (!settings.isArray)
+			if (!settings.isArray) {
 				query.single().limit(1);
+			} else if (settings.pageSize) {
+				query.range(...(options?.range || reactives.$meta.range));
+			} else if (settings.range) {
+				query.range(...settings.range);
+			} else if (settings.limit) {
+				query.limit(settings.limit);
+			}
 
 			return query;
 		},
@@ -278,6 +707,13 @@ export default function SupabaseReactive(path, options) {
 		*/
 		async $init() {
 			if (reactives.$meta.timestamp) throw new Error('Reactive.$init() has already been called');
+			if (settings.read) reactives.$meta.status = 'loading';
+
+			// Restore any writes queued by a previous session
+			if (settings.queueStorage) {
+				reactives.$meta.writeQueue = await settings.queueStorage.getItem(queueKey) || [];
+				reactives.$meta.pendingWrites = reactives.$meta.writeQueue.length;
+			}
 
 			// Read initial state (if settings.read)
 			if (settings.read) await reactives.$read();
@@ -285,9 +721,24 @@ export default function SupabaseReactive(path, options) {
 			// Subscribe to local watcher (if settings.watch)
 			if (settings.watch) await reactives.$watch();
 
+			// Write local changes made while loading (e.g. to rows of `SupabaseReactive.map()` which are handed out before they are read)
+			if (earlyChanges && settings.watch) {
+				settings.debug('Write changes made while loading', earlyChanges);
+				let changes = earlyChanges;
+				earlyChanges = null;
+				await reactives.$adoptLocal({...reactives.$toObject(), ...changes})
+					.catch(()=> {}); // Failures are surfaced via $meta.error + onError
+			}
+
 			// Subscribe to remote (if settings.write)
 			if (settings.write) await reactives.$subscribe();
 
+			// Replay writes from a previous session + re-read the outcome
+			if (reactives.$meta.pendingWrites > 0) {
+				await reactives.$replay();
+				if (settings.read) await reactives.$read();
+			}
+
 			return reactive;
 		},
 
@@ -297,24 +748,76 @@ export default function SupabaseReactive(path, options) {
 		*
 		* @param {Object} [options] Additional options to mutate behaviour
 		* @param {Boolean} [options.force=false] Forcibly read in server values, overriding local values
+		* @param {Array<Number>} [options.range] If `pageSize` is set, the inclusive `[from, to]` offsets of the rows to read. Defaults to `$meta.range`
+		* @param {Boolean} [options.append=false] If `pageSize` is set, append the rows to those already loaded rather than replacing them
 		*
 		* @returns {Promise} A promise which resolves when the operation has completed
+		* @throws {SupabaseReactiveError} A NetworkError, NotFoundError (if `createMissing=false`), PermissionDeniedError or RemoteError if the read failed
 		*/
 		async $read(options) {
 			let readSettings = {
 				force: false,
+				range: null,
+				append: false,
 				...options,
 			};
+			if (settings.crdt) return reactives.$readCrdt();
+
+			reactives.$meta.status = 'loading';
+			let data, count;
+			try {
+				({data, count} = checkResponse(await reactives.$getQuery({range: readSettings.range}), {allowMissing: settings.createMissing}));
+			} catch (e) {
+				throw await reactives.$handleError(e, 'read');
+			}
 
-			let {data} = await reactives.$getQuery();
+			// Mangle incoming row into a dataVal, upgrading any documents stored in an older shape
+			let migratedCount = 0;
+			let rowToMigratedData = async row => {
+				let rowData = reactives.$rowToData(row);
+				let migrated = await reactives.$migrate(rowData, row);
+				if (migrated !== rowData) migratedCount++;
+				return migrated;
+			};
 
-			// Mangle incoming row into a dataVal
 			let dataVal = settings.isArray
-				? data.map(row => ({
-					id: row.id,
-					...row[settings.dataColumn],
-				}))
-				: data?.[settings.dataColumn] || {};
+				? await Promise.all(data.map(async row => ({
+					id: row[settings.idColumn],
+					...await rowToMigratedData(row),
+				})))
+				: data ? await rowToMigratedData(data) : {};
+
+			if (readSettings.append) { // Append to the already loaded rows, skipping any which shifted into the new page
+				data = data.filter(row => !reactives.$meta.rows[row[settings.idColumn]]);
+				dataVal = [
+					...reactives.$toObject(),
+					...dataVal.filter(item => !reactives.$meta.rows[item.id]),
+				];
+			}
+
+			try {
+				reactives.$validate(dataVal);
+			} catch (e) {
+				throw await reactives.$handleError(e, 'read');
+			}
+
+			// Snapshot incoming rows so we can later tell which ones have changed locally
+			if (settings.isArray)
+				reactives.$meta.rows = Object.fromEntries([
+					...(readSettings.append ? Object.entries(reactives.$meta.rows) : []),
+					...data.map(row => [
+						row[settings.idColumn],
+						{
+							data: reactives.$rowToData(row),
+							version: settings.versionColumn ? row[settings.versionColumn] : null,
+							...(settings.order && {sort: reactives.$rowToSort(row)}),
+						},
+					]),
+				]);
+
+			// Snapshot incoming document as our last-synced base state (before migration so migrated documents are written back)
+			if (!settings.isArray)
+				reactives.$meta.snapshot = data ? reactives.$rowToData(data) : {};
 
 			// Mangle incoming row into a dataTimestamp
 			let dataTimestamp = settings.isArray
@@ -335,8 +838,14 @@ export default function SupabaseReactive(path, options) {
 				, null)
 				: data?.[settings.versionColumn];
 
+			if (readSettings.append) { // Never regress the timestamp / version of the already loaded rows
+				if (reactives.$meta.timestamp && !(new Date(dataTimestamp) > reactives.$meta.timestamp)) dataTimestamp = reactives.$meta.timestamp;
+				if (settings.versionColumn && !(dataVersion > reactives.$meta.version)) dataVersion = reactives.$meta.version;
+			}
+
 			// Trigger callbacks if its an init or simple read operation
-			if (reactives.$meta.version === null) {
+			let isInit = reactives.$meta.version === null;
+			if (isInit) {
 				settings.debug('INIT VALUE', dataVal);
 				reactives.$meta.version = 0;
 				await settings.onInit(dataVal);
@@ -345,12 +854,31 @@ export default function SupabaseReactive(path, options) {
 				await settings.onRead(dataVal);
 			}
 
+			// Keep any local changes made before the initial read so they aren't replaced by it
+			if (isInit && !settings.isArray && !isEmpty(reactives.$toObject())) earlyChanges = reactives.$toObject();
+
 			// Assign the data
 			await reactives.$set(dataVal, {
 				timestamp: dataTimestamp,
 				version: dataVersion,
 				removeKeys: !readSettings.force,
 			});
+
+			if (settings.pageSize) {
+				let range = readSettings.range || reactives.$meta.range;
+				reactives.$meta.range = [readSettings.append ? reactives.$meta.range[0] : range[0], range[1]];
+				reactives.$meta.total = count;
+				reactives.$meta.hasMore = reactives.$meta.range[1] + 1 < count;
+			}
+
+			reactives.$meta.status = 'idle';
+			reactives.$meta.error = null;
+
+			// Write back any migrated documents
+			if (migratedCount > 0 && settings.watch) {
+				settings.debug('Write back', migratedCount, 'migrated documents');
+				await reactives.$touchLocal();
+			}
 		},
 
 
@@ -361,14 +889,56 @@ export default function SupabaseReactive(path, options) {
 		* @returns {Promise} A promise which resolves when the operation has completed
 		*/
 		async $fetch() {
-			let {data} = await reactives.$getQuery();
+			if (settings.crdt) { // Merge the stored updates into a fresh document
+				let {data} = checkResponse(await reactives.$getCrdtQuery());
+				let doc = settings.crdt.create();
+				data.forEach(row => settings.crdt.applyUpdate(doc, decodeBase64(row.data)));
+				return settings.crdt.toJSON(doc);
+			}
+
+			let {data} = checkResponse(await reactives.$getQuery(), {allowMissing: true});
 
 			return settings.isArray
 				? data.map(row => ({
-					id: row.id,
-					...row[settings.dataColumn],
+					id: row[settings.idColumn],
+					...reactives.$rowToData(row),
 				}))
-				: data?.[settings.dataColumn] || {};
+				: data ? reactives.$rowToData(data) : {};
+		},
+
+
+		/**
+		* Fetch the next page of rows and append them to the loaded rows
+		* Only available for `isArray` reactives with `pageSize` set
+		*
+		* @returns {Promise} A promise which resolves when the operation has completed
+		*/
+		async $loadMore() {
+			if (!settings.pageSize) throw new Error('$loadMore() requires the `pageSize` option');
+			if (!reactives.$meta.hasMore) return;
+
+			let from = reactives.$meta.range[0] + Object.keys(reactives.$meta.rows).length; // Offset by the rows we hold as rows may have been created or removed since the last page
+			await reactives.$read({
+				range: [from, from + settings.pageSize - 1],
+				append: true,
+			});
+		},
+
+
+		/**
+		* Replace the loaded rows with a single page of rows
+		* Only available for `isArray` reactives with `pageSize` set
+		*
+		* @param {Number} page The zero-based page number to load
+		* @returns {Promise} A promise which resolves when the operation has completed
+		*/
+		async $page(page) {
+			if (!settings.pageSize) throw new Error('$page() requires the `pageSize` option');
+
+			await reactives.$flush(); // Write any pending changes to the current page first
+			await reactives.$read({
+				range: [page * settings.pageSize, (page + 1) * settings.pageSize - 1],
+			});
 		},
 
 
@@ -399,171 +969,1873 @@ export default function SupabaseReactive(path, options) {
 
 		/**
 		* Internal function called when detecting a local change
+		* Writes are serialized so that each write is calculated against the outcome of the previous one
 		*
 		* @access private
 		* @returns {Promise} A promise which resolves when the operation has completed
 		*/
 		async $touchLocal() {
 			if (reactives.$meta.isUpdating) return; // Elsewhere is updating - ignore all local callbacks
+			reactives.$recordHistory();
+			if (reactives.$meta.isDeleted) return settings.debug('Ignore local change - remote row has been deleted');
+
+			// Assign a pending promise so calls to flush() can wait on this + wait for any previous write to finish
+			let previousWrite = reactives.$touchLocal.promise;
+			let releaseWrite, rejectWrite;
+			reactives.$touchLocal.promise = new Promise((resolve, reject) => {
+				releaseWrite = resolve;
+				rejectWrite = reject;
+			});
+			reactives.$touchLocal.promise.catch(()=> {}); // Failures are surfaced via $meta.error, onError + $flush() so don't raise unhandled rejections
+
+			try {
+				await previousWrite?.catch(()=> {}); // Previous failures have already been reported
+				reactives.$meta.status = 'saving';
+				await (
+					settings.broadcast ? reactives.$writeBroadcast()
+					: settings.crdt ? reactives.$writeCrdt()
+					: settings.isArray ? reactives.$writeArray()
+					: reactives.$writeObject()
+				);
+				reactives.$meta.status = 'idle';
+				reactives.$meta.error = null;
+				releaseWrite(true);
+			} catch (e) {
+				rejectWrite(await reactives.$handleError(e, 'write'));
+			}
+		},
+
+
+		/**
+		* Internal function used by $touchLocal() to send the local state of a `broadcast` reactive to the other clients in its room
+		* The state is never written to the database
+		*
+		* @access private
+		* @returns {Promise} A promise which resolves when the operation has completed
+		* @throws {RemoteError} If the message could not be sent
+		*/
+		async $writeBroadcast() {
+			let payload = reactives.$toObject();
+			if (isEqual(payload, reactives.$meta.snapshot)) return settings.debug('Skip broadcast - state is unchanged');
+			reactives.$validate(payload);
+			await settings.onChange(payload);
+
+			let timestamp = new Date();
+			settings.debug('LOCAL BROADCAST', payload);
+			let response = await realtimeChannel?.send({
+				type: 'broadcast',
+				event: 'state',
+				payload: {state: payload, timestamp: timestamp.toISOString()},
+			});
+			if (response != 'ok') throw new RemoteError(`Failed to broadcast state - ${response || 'not subscribed'}`);
+
+			reactives.$meta.snapshot = cloneDeep(payload);
+			reactives.$meta.timestamp = timestamp;
+		},
+
 
+		/**
+		* Internal function used by $touchLocal() to write the local state of a single row reactive
+		* If `versionColumn` is enabled the write only succeeds if the server still holds the version we last saw, otherwise the conflict is handed to $resolveConflict()
+		*
+		* @access private
+		* @returns {Promise} A promise which resolves when the operation has completed
+		*/
+		async $writeObject() {
 			let payload = reactives.$toObject();
+			reactives.$validate(payload);
 			let payloadTimestamp = new Date();
+			let expectedVersion = reactives.$meta.version;
 			let payloadVersion = settings.versionColumn ? (reactives.$meta.version ?? 0) + 1 : 0;
 
-			if (settings.isArray) throw new Error('TODO: Local array syncing is not yet supported');
-
 			await settings.onChange(payload);
 
+			// Calculate the JSON-Patch against the last-synced state (if `writeMode=patch` and we have a state to patch against)
+			let patch = settings.writeMode == 'patch' && reactives.$meta.snapshot && reactives.$meta.timestamp // Row has to exist + have been synced before we can patch it
+				? jsonPatch.compare(reactives.$meta.snapshot, payload)
+				: null;
+			if (patch && !patch.length) return settings.debug('LOCAL CHANGE ignored - no differences from last synced state');
+
+			// Calculate which columns need writing against the last-synced state (if `columns` is set and the row has been synced before)
+			// This also serializes the columns early so invalid values are rejected before any local state is changed
+			let columnBase = settings.columns && reactives.$meta.snapshot && reactives.$meta.timestamp
+				? reactives.$meta.snapshot
+				: null;
+			if (settings.columns && isEmpty(reactives.$dataToRow(payload, columnBase))) return settings.debug('LOCAL CHANGE ignored - no mapped columns differ from last synced state');
+
 			// Store local timestamp so we don't get into a loop when the server tells us about the change we're about to make
+			let base = reactives.$meta.snapshot;
+			let baseTimestamp = reactives.$meta.timestamp;
 			reactives.$meta.timestamp = payloadTimestamp;
+			reactives.$meta.snapshot = payload;
 
 			// Increment local version
 			if (settings.versionColumn)
 				reactives.$meta.version++;
 
-			settings.debug('LOCAL CHANGE', {
-				$meta: reactives.$meta,
-				payload,
-			});
+			let written;
+			try {
+				settings.debug('LOCAL CHANGE', { // Within the rollback guard in case a debug hook throws
+					$meta: pick(reactives.$meta, ['id', 'timestamp', 'version']),
+					...(patch ? {patch} : {payload}),
+				});
+
+				written = await reactives.$dispatchWrite({
+					type: 'row',
+					payload,
+					patch,
+					base: columnBase,
+					previous: base,
+					timestamp: payloadTimestamp,
+					version: payloadVersion,
+					expectedVersion,
+				});
+			} catch (e) {
+				if (isEqual(reactives.$meta.snapshot, payload)) { // Roll back to the last-synced state (unless a remote change has since replaced it) so the next write includes this change
+					settings.debug('LOCAL CHANGE failed - rolling back to last synced state');
+					reactives.$meta.snapshot = base;
+					reactives.$meta.timestamp = baseTimestamp;
+					reactives.$meta.version = expectedVersion;
+				}
+				throw e;
+			}
 
-			// Assign a pending promise so calls to flush() can wait on this
-			reactives.$touchLocal.promise = settings.supabase
-				.from(settings.table)
-				.upsert({
-					[settings.idColumn]: reactives.$meta.id,
-					[settings.dataColumn]: payload,
-					[settings.timestampColumn]: payloadTimestamp,
-					...(settings.versionColumn && {
-						[settings.versionColumn]: payloadVersion,
-					}),
-				}, {
-					onConflict: settings.idColumn,
-					ignoreDuplicates: false,
-				})
-				.eq(settings.idColumn, reactives.$meta.id)
-				.select('id')
-				.then(()=> settings.debug('LOCAL CHANGE flushed', {
+			if (written === null) {
+				settings.debug('LOCAL CHANGE queued until the server is reachable');
+			} else if (written) {
+				settings.debug('LOCAL CHANGE flushed', {
 					newTimestamp: payloadTimestamp,
 					newVersion: payloadVersion,
-				}))
-				.then(()=> true); // FIX: Need to end on a promisable here otherwise Supabase can sometimes get confused and not execute the query
-
-			await reactives.$touchLocal.promise;
+				});
+			} else {
+				settings.debug('LOCAL CHANGE conflicts with server', {
+					expectedVersion,
+				});
+				await reactives.$resolveConflict(base);
+			}
 		},
 
 
 		/**
-		* Internal function called when detecting a remote change
+		* Internal function to write a single row to the server
+		* If `versionColumn` is enabled and `expectedVersion` is provided the write acts as a compare-and-swap, only succeeding if the server row is still at that version
 		*
 		* @access private
 		*
-		* @param {Object} [data] New data payload to proocess
+		* @param {Object} options Options to mutate behaviour
+		* @param {Object} options.payload The full document to write
+		* @param {Array<Object>} [options.patch] JSON-Patch to write instead of the full document, if specified
+		* @param {Null|Object} [options.base] If `columns` is set, only write the columns which differ from this state
+		* @param {Null|Object} [options.previous] The state the document is being changed from, used to calculate the diff recorded in `historyTable`
+		* @param {Date} options.timestamp The timestamp to stamp the row with
+		* @param {Number} [options.version] The new version to stamp the row with if `versionColumn` is enabled
+		* @param {Null|Number} [options.expectedVersion] The version the server row must be at for the write to succeed, if undefined the row is blindly upserted
 		*
-		* @returns {Promise} A promise which resolves when the operation has completed
+		* @returns {Promise<Boolean>} A promise which resolves with true if the row was written or false if the server row has moved on to another version (or no longer exists)
 		*/
-		async $touchRemote(data) {
-			if (!data.new) return; // No payload to prcess anyway
+		async $writeRow({payload, patch, base, previous, timestamp, version, expectedVersion}) {
+			let checkVersion = !!settings.versionColumn && expectedVersion !== undefined;
+			let written;
+
+			if (patch) { // Write via JSON-Patch RPC
+				let {data: affected} = checkResponse(await settings.supabase
+					.rpc(settings.patchFunction, {
+						schema_name: settings.dbSchema || 'public',
+						table_name: settings.table,
+						id_column: settings.idColumn,
+						id: reactives.$meta.id,
+						data_column: settings.dataColumn,
+						patch,
+						timestamp_column: settings.timestampColumn,
+						timestamp_value: timestamp,
+						version_column: settings.versionColumn || null,
+						version_value: settings.versionColumn ? version : null,
+						check_version: checkVersion,
+						expected_version: checkVersion ? expectedVersion : null,
+					})
+				);
 
-			// Tidy up incoming data fields
-			let dataVersion = data.new[settings.versionColumn];
-			let dataTimestamp = new Date(data.new[settings.timestampColumn]);
+				written = affected > 0;
+			} else if (checkVersion) { // Conditional update only if the version matches
+				let query = reactives.$from()
+					.update({
+						...reactives.$dataToRow(payload, base),
+						[settings.timestampColumn]: timestamp,
+						[settings.versionColumn]: version,
+					})
+					.eq(settings.idColumn, reactives.$meta.id);
+
+				if (expectedVersion === null) {
+					query.is(settings.versionColumn, null);
+				} else {
+					query.eq(settings.versionColumn, expectedVersion);
+				}
 
-			settings.debug(
-				'REMOTE CHANGE',
-				settings.versionColumn
-					? `Server@${dataVersion}, Local@${reactives.$meta.version}`
-					: `Server@${dataTimestamp ? dataTimestamp.toISOString() : 'NOW'}, Local@${reactives.$meta.timestamp ? reactives.$meta.timestamp : '[NONE]'}`,
-				data.new[settings.dataColumn],
-			);
+				let {data} = checkResponse(await query.select(settings.idColumn));
+				written = data?.length > 0;
+			} else { // Blind upsert
+				checkResponse(await reactives.$from()
+					.upsert({
+						[settings.idColumn]: reactives.$meta.id,
+						...reactives.$dataToRow(payload, base),
+						[settings.timestampColumn]: timestamp,
+						...(settings.versionColumn && {
+							[settings.versionColumn]: version,
+						}),
+					}, {
+						onConflict: settings.idColumn,
+						ignoreDuplicates: false,
+					})
+					.eq(settings.idColumn, reactives.$meta.id)
+					.select('id')
+				);
 
-			if (settings.versionColumn && dataVersion <= reactives.$meta.version) return settings.debug('Reject server update - local version is recent enough', {
-				localVersion: reactives.$meta.version,
-				serverVersion: dataVersion,
-			});
-			if (reactives.$meta.timestamp && dataTimestamp <= reactives.$meta.timestamp) return settings.debug('Reject server update - local timestamp is recent enough', {
-				localTimestamp: reactives.$meta.timestamp,
-				serverTimestamp: dataTimestamp,
-			});
+				written = true;
+			}
 
-			await reactives.$set(data.new[settings.dataColumn], {
-				removeKeys: true,
-				timestamp: dataTimestamp,
-				...(settings.versionColumn && {
-					version: dataVersion,
-				}),
-			});
+			if (written && settings.historyTable)
+				await reactives.$appendHistory({
+					payload,
+					patch: patch || jsonPatch.compare(previous || {}, payload),
+					timestamp,
+					version,
+				})
+					.catch(e => reactives.$handleError(e, 'history')) // The row is already written so a missing audit entry is reported without failing the write
+					.catch(e => settings.debug('onError threw while reporting a history error', e.message)); // ...even if onError itself rethrows
 
-			await settings.onRead(data.new[settings.dataColumn]);
+			return written;
 		},
 
 
 		/**
-		* Universal wrapper around setTimeout() which returns a promise
-		* NOTE: We can't use node:timers/promises as this may be a front-end install
+		* Internal function to record a successful write in `historyTable`
+		* The author is the user ID of the current `supabase.auth` session, if any
 		*
-		* @param {Number} [delay=0] The number of milliseconds to wait
-		* @returns {Promise} A promise which resolves when the timeout has completed
-		*/
-		async $tick(delay = 0) {
-			return new Promise(resolve => setTimeout(()=> resolve(), delay));
-		},
-
-
-		/**
-		* Wait for all local writes to complete
-		* NOTE: This only promises that local writes complete, not that a subsequent read is required
+		* @access private
+		*
+		* @param {Object} options Options to mutate behaviour
+		* @param {Object} options.payload The full document which was written
+		* @param {Array<Object>} options.patch The JSON-Patch from the previous state to `payload`
+		* @param {Date} options.timestamp The timestamp the row was stamped with
+		* @param {Number} [options.version] The version the row was stamped with if `versionColumn` is enabled
 		*
-		* @param {Number} [delay=0] The number of milliseconds to wait for write operations to clear
 		* @returns {Promise} A promise which resolves when the operation has completed
 		*/
-		async $flush(delay = 100) {
-			return Promise.all([
-				reactives.$touchLocal.promise,
-				reactives.$tick(delay),
-			]);
+		async $appendHistory({payload, patch, timestamp, version}) {
+			let session = (await settings.supabase.auth?.getSession())?.data?.session;
+
+			checkResponse(await reactives.$fromHistory()
+				.insert({
+					doc_schema: settings.dbSchema || 'public',
+					doc_table: settings.table,
+					doc_id: reactives.$meta.id,
+					version: settings.versionColumn ? version : null,
+					author: session?.user?.id ?? null,
+					patch,
+					data: payload,
+					created_at: timestamp,
+				})
+			);
 		},
 
 
 		/**
-		* Toggle subscription to the realtime datafeed
+		* Internal function called when a local write was rejected because the server row has moved on
+		* The current server state is fetched, merged with the local state via `conflictStrategy` and the result written back
 		*
-		* @param {Boolean} [isSubscribed=true] Whether to enact the subscriptioon, set to false to remove subscriptions
+		* @access private
+		*
+		* @param {Null|Object} base The last-synced state both sides started from
+		* @param {Object} [local] The local state to resolve, defaults to the current state of the reactive
 		*
 		* @returns {Promise} A promise which resolves when the operation has completed
 		*/
+		async $resolveConflict(base, local) {
+			try {
+				for (let attempt = 1; attempt <= settings.retries; attempt++) {
+					if (attempt > 1) await settings.retryBackoff(attempt - 1, settings);
+
+					if (await reactives.$resolveConflictAttempt(base, local, attempt)) return;
+				}
+			} catch (e) {
+				if (!settings.queueStorage || !(e instanceof NetworkError)) throw e;
+
+				settings.debug('CONFLICT unresolved - server is unreachable, queuing resolution until it is');
+				reactives.$setOnline(false);
+				await reactives.$enqueueWrite({type: 'resolve', base, payload: local});
+				return;
+			}
+
+			throw new ConflictError(`Unable to resolve write conflict after ${settings.retries} attempts`);
+		},
+
+
+		/**
+		* Internal function called by $resolveConflict() for each attempt at resolving a conflict
+		*
+		* @access private
+		*
+		* @param {Null|Object} base The last-synced state both sides started from
+		* @param {Object} [local] The local state to resolve, defaults to the current state of the reactive
+		* @param {Number} attempt The attempt number, starting at 1
+		*
+		* @returns {Promise<Boolean>} A promise which resolves with true if the conflict was resolved, false if the server moved on again while resolving
+		*/
+		async $resolveConflictAttempt(base, local, attempt) {
+			let {data} = checkResponse(await reactives.$getQuery(), {allowMissing: true});
+
+			if (!data) { // Row doesn't exist on the server yet - create it
+				settings.debug('CONFLICT - row does not exist, creating');
+				await reactives.$writeRow({
+					payload: reactives.$meta.snapshot,
+					timestamp: reactives.$meta.timestamp,
+					version: reactives.$meta.version,
+				});
+				return true;
+			}
+
+			let currentState = reactives.$toObject();
+			local ??= currentState;
+			let serverRemote = reactives.$rowToData(data);
+			let remote = await reactives.$migrate(serverRemote, data);
+			let remoteVersion = settings.versionColumn ? data[settings.versionColumn] : null;
+
+			await settings.onConflict(local, remote);
+			let merged = settings.conflictStrategy(local, remote, base);
+
+			settings.debug('CONFLICT resolved', {
+				attempt,
+				remoteVersion,
+				merged,
+			});
+
+			// Adopt the server state as our new base
+			reactives.$meta.snapshot = cloneDeep(serverRemote);
+			reactives.$meta.version = remoteVersion ?? 0;
+
+			if (!isEqual(merged, currentState))
+				await reactives.$set(merged, {
+					patch: settings.writeMode == 'patch',
+					timestamp: data[settings.timestampColumn] ? new Date(data[settings.timestampColumn]) : null,
+				});
+
+			if (isEqual(merged, serverRemote)) return true; // Nothing further to write
+
+			let payloadTimestamp = new Date();
+			let payloadVersion = (remoteVersion ?? 0) + 1;
+			reactives.$meta.timestamp = payloadTimestamp;
+			reactives.$meta.snapshot = cloneDeep(merged);
+			reactives.$meta.version = payloadVersion;
+
+			let written = await reactives.$writeRow({
+				payload: merged,
+				patch: settings.writeMode == 'patch' ? jsonPatch.compare(serverRemote, merged) : null,
+				base: serverRemote,
+				previous: serverRemote,
+				timestamp: payloadTimestamp,
+				version: payloadVersion,
+				expectedVersion: remoteVersion,
+			});
+			return written; // If false the server moved on again while we were resolving so we need another attempt
+		},
+
+
+		/**
+		* Internal function called when a local write to a row of an `isArray` reactive was rejected because the server row has moved on
+		* The current server row is fetched, merged with the local item via `conflictStrategy` and the result written back against the server version
+		*
+		* @access private
+		*
+		* @param {String} id The ID of the conflicting row
+		* @param {Null|Object} base The last-synced state of the row both sides started from
+		*
+		* @returns {Promise} A promise which resolves when the operation has completed
+		* @throws {ConflictError} If the server row kept moving on after `retries` attempts
+		*/
+		async $resolveRowConflict(id, base) {
+			for (let attempt = 1; attempt <= settings.retries; attempt++) {
+				if (attempt > 1) await settings.retryBackoff(attempt - 1, settings);
+
+				let {data: row} = checkResponse(await reactives.$from()
+					.select('*')
+					.eq(settings.idColumn, id)
+					.maybeSingle()
+				);
+				if (!row) return settings.debug('CONFLICT ignored - row was deleted remotely', {id}); // The realtime delete removes the local item
+
+				let index = reactive.findIndex(item => item.id == id);
+				if (index < 0) return settings.debug('CONFLICT ignored - row was removed locally', {id}); // The local delete is written by the next change
+
+				let local = omit(reactives.$toObject()[index], 'id');
+				let serverRowData = reactives.$rowToData(row);
+				let remote = await reactives.$migrate(serverRowData, row);
+				let remoteVersion = row[settings.versionColumn];
+
+				await settings.onConflict(local, remote);
+				let merged = settings.conflictStrategy(local, remote, base);
+				settings.debug('CONFLICT resolved', {id, attempt, remoteVersion, merged});
+
+				// Adopt the server row as our new base
+				let serverSnapshot = {
+					data: cloneDeep(serverRowData),
+					version: remoteVersion,
+					...(settings.order && {sort: reactives.$rowToSort(row)}),
+				};
+				reactives.$meta.rows[id] = serverSnapshot;
+
+				if (!isEqual(merged, local)) {
+					let newState = reactives.$toObject();
+					newState[index] = {id, ...merged};
+					await reactives.$set(newState, {removeKeys: true, updateDelay: 0});
+				}
+
+				if (isEqual(merged, serverRowData)) return; // Nothing further to write
+
+				let version = (remoteVersion ?? 0) + 1;
+				reactives.$meta.rows[id] = {...serverSnapshot, data: cloneDeep(merged), version};
+				try {
+					let written = await reactives.$execWrite({
+						type: 'update',
+						id,
+						row: {
+							...reactives.$dataToRow(merged, serverRowData),
+							[settings.timestampColumn]: new Date(),
+							[settings.versionColumn]: version,
+						},
+						expectedVersion: remoteVersion,
+					});
+					if (written !== false) return;
+				} catch (e) {
+					reactives.$meta.rows[id] = serverSnapshot; // Write the merged row again with the next change
+					throw e;
+				}
+			}
+
+			throw new ConflictError(`Unable to resolve write conflict of row ${id} after ${settings.retries} attempts`);
+		},
+
+
+		/**
+		* Internal function used by $touchLocal() to write all changed rows of an `isArray` reactive
+		*
+		* @access private
+		* @returns {Promise} A promise which resolves when the operation has completed
+		*/
+		async $writeArray() {
+			let payload = reactives.$toObject();
+			reactives.$validate(payload);
+			let payloadTimestamp = new Date();
+
+			let seenIds = new Set();
+			let inserts = []; // Collection of {item, index} items which have no ID yet
+			let updates = []; // Collection of {item, isNew} items which need writing
+			payload.forEach((item, index) => {
+				if (item.id === undefined || item.id === null) {
+					inserts.push({item, index});
+					return;
+				}
+
+				seenIds.add(String(item.id));
+				if (!reactives.$meta.rows[item.id]) { // ID given but we've never seen this row before
+					updates.push({item, isNew: true});
+				} else if (!isEqual(omit(item, 'id'), reactives.$meta.rows[item.id].data)) { // Existing row that has changed
+					updates.push({item, isNew: false});
+				}
+			});
+			let deletes = Object.keys(reactives.$meta.rows)
+				.filter(id => !seenIds.has(id));
+
+			if (!inserts.length && !updates.length && !deletes.length) return settings.debug('LOCAL CHANGE ignored - no rows differ');
+
+			await settings.onChange(payload);
+
+			// Store local timestamp so we don't get into a loop when the server tells us about the changes we're about to make
+			let baseTimestamp = reactives.$meta.timestamp;
+			reactives.$meta.timestamp = payloadTimestamp;
+			if (settings.pageSize) reactives.$adjustTotal(inserts.length + updates.filter(({isNew}) => isNew).length - deletes.length);
+
+			settings.debug('LOCAL ARRAY CHANGE', {
+				inserts: inserts.length,
+				updates: updates.length,
+				deletes: deletes.length,
+			});
+
+			/**
+			* Convert a local array item into its outgoing row payload
+			* This is the reverse of the row mapping within $read()
+			*
+			* @param {Object} item The item to convert
+			* @param {Null|Number} version The new version of the row, if versioning is enabled
+			* @param {Object} [base] If `columns` is set, only include the columns which differ from this state
+			* @returns {Object} The Supabase row fields to write (excluding the ID)
+			*/
+			let itemToRow = (item, version, base) => ({
+				...reactives.$dataToRow(omit(item, 'id'), base),
+				[settings.timestampColumn]: payloadTimestamp,
+				...(settings.versionColumn && {
+					[settings.versionColumn]: version,
+				}),
+			});
+
+			/**
+			* Restore the last-synced snapshot of a row if its write failed, so the next write includes the change again
+			* The snapshot is left alone if a remote change has since replaced it
+			*
+			* @param {String} id The row ID to restore
+			* @param {Undefined|RowSnapshot} previous The snapshot of the row before the write
+			* @param {Undefined|RowSnapshot} attempted The snapshot of the row as written
+			* @returns {Function} A promise rejection handler which restores the snapshot then rethrows
+			*/
+			let rollbackRow = (id, previous, attempted) => e => {
+				if (isEqual(reactives.$meta.rows[id], attempted)) {
+					settings.debug('LOCAL ARRAY CHANGE failed - rolling back row', id);
+					if (previous) {
+						reactives.$meta.rows[id] = previous;
+					} else {
+						delete reactives.$meta.rows[id];
+					}
+					if (reactives.$meta.timestamp === payloadTimestamp) reactives.$meta.timestamp = baseTimestamp;
+				}
+				throw e;
+			};
+
+			await Promise.all([
+				// Inserts - create the row then write its allocated ID back into the local item
+				...inserts.map(async ({item, index}) => {
+					let target = reactive[index]; // Grab the reactive item now in case the array shifts while we wait
+					let version = settings.versionColumn ? 0 : null;
+
+					let id = await reactives.$dispatchWrite({
+						type: 'insert',
+						row: itemToRow(item, version),
+					});
+
+					reactives.$meta.rows[id] = {data: omit(item, 'id'), version};
+					if (target) {
+						target.id = id; // Snapshot is already up to date so the resulting local change is ignored
+
+						let historyItem = reactives.$meta.historyBase?.[reactive.indexOf(target)];
+						if (historyItem) historyItem.id = id; // Don't record the ID allocation as an undoable change
+					}
+				}),
+
+				// Updates (or upserts for IDs we've never seen before)
+				...updates.map(({item, isNew}) => {
+					let version = !settings.versionColumn ? null
+						: isNew ? 0
+						: (reactives.$meta.rows[item.id].version ?? 0) + 1;
+					let base = isNew ? null : reactives.$meta.rows[item.id].data;
+
+					let previous = cloneDeep(reactives.$meta.rows[item.id]);
+					let attempted = {...previous, data: omit(item, 'id'), version};
+					reactives.$meta.rows[item.id] = attempted;
+
+					return reactives.$dispatchWrite({
+						type: isNew ? 'upsert' : 'update',
+						id: item.id,
+						row: itemToRow(item, version, base),
+						...(settings.versionColumn && !isNew && {expectedVersion: previous.version ?? null}), // Only update the row if nobody else has since
+					})
+						.then(written => written === false && reactives.$resolveRowConflict(item.id, base))
+						.catch(rollbackRow(item.id, previous, attempted));
+				}),
+
+				// Deletes - anything we knew about which is no longer present locally
+				...deletes.map(id => {
+					let previous = cloneDeep(reactives.$meta.rows[id]);
+					delete reactives.$meta.rows[id];
+
+					return reactives.$dispatchWrite({
+						type: 'delete',
+						id,
+					})
+						.catch(rollbackRow(id, previous, undefined));
+				}),
+			])
+				.then(()=> {
+					if (settings.versionColumn) // Adopt the largest row version as the overall version
+						reactives.$meta.version = Object.values(reactives.$meta.rows)
+							.reduce((largest, row) => Math.max(largest, row.version ?? 0), 0);
+
+					settings.debug('LOCAL ARRAY CHANGE flushed', {
+						newTimestamp: payloadTimestamp,
+						newVersion: reactives.$meta.version,
+					});
+				});
+		},
+
+
+		/**
+		* A single pending write operation
+		* All queued writes are POJOs so they can be persisted by the `queueStorage` adapter
+		*
+		* @typedef {Object} QueueItem
+		* @property {String} type The type of write. 'row' (single row document write), 'resolve' (conflict resolution), 'crdt' (CRDT update), 'insert', 'upsert', 'update' or 'delete' (isArray row writes)
+		* @property {String} [id] The row ID for isArray row writes
+		* @property {Object} [row] The row fields to write for isArray row writes
+		* @property {Object} [payload] The full document for 'row' writes or the local state to resolve for 'resolve' writes (undefined to use the current state)
+		* @property {Array<Object>} [patch] The JSON-Patch for 'row' writes if `writeMode='patch'`
+		* @property {Date} [timestamp] The timestamp to stamp 'row' writes with
+		* @property {Number} [version] The version to stamp 'row' writes with
+		* @property {Null|Number} [expectedVersion] The version the server row needs to be at for 'row' and 'update' writes to succeed
+		* @property {Null|Object} [base] The base state to resolve against for 'resolve' writes or, if `columns` is set, the state to calculate changed columns against for 'row' writes
+		* @property {Null|Object} [previous] The state 'row' writes change the document from, used to calculate the diff recorded in `historyTable`
+		* @property {String} [update] The base64 encoded CRDT update for 'crdt' writes
+		*/
+
+
+		/**
+		* Internal function to perform a single write operation against the server
+		*
+		* @access private
+		*
+		* @param {QueueItem} entry The write to perform
+		*
+		* @returns {Promise<*>} A promise which resolves with the result of the write - the allocated row ID for inserts, a boolean indicating success for 'row' writes, false if an 'update' with `expectedVersion` matched no rows
+		* @throws {NetworkError} If the server could not be reached
+		*/
+		async $execWrite(entry) {
+			switch (entry.type) {
+				case 'row':
+					return reactives.$writeRow(entry);
+				case 'resolve':
+					return reactives.$resolveConflict(entry.base, entry.payload);
+				case 'crdt':
+					checkResponse(await reactives.$fromCrdt()
+						.insert({
+							doc_schema: settings.dbSchema || 'public',
+							doc_table: settings.table,
+							doc_id: settings.id,
+							data: entry.update,
+						})
+					);
+					return true;
+				case 'insert': {
+					let {data} = checkResponse(await reactives.$from()
+						.insert(entry.row)
+						.select(settings.idColumn)
+						.single()
+					);
+					return data[settings.idColumn];
+				}
+				case 'upsert':
+					checkResponse(await reactives.$from()
+						.upsert({
+							[settings.idColumn]: entry.id,
+							...entry.row,
+						}, {
+							onConflict: settings.idColumn,
+							ignoreDuplicates: false,
+						})
+					);
+					return entry.id;
+				case 'update': {
+					let query = reactives.$from()
+						.update(entry.row)
+						.eq(settings.idColumn, entry.id);
+					if (entry.expectedVersion === undefined) {
+						checkResponse(await query);
+						return entry.id;
+					}
+
+					if (entry.expectedVersion === null) {
+						query.is(settings.versionColumn, null);
+					} else {
+						query.eq(settings.versionColumn, entry.expectedVersion);
+					}
+
+					let {data} = checkResponse(await query.select(settings.idColumn));
+					return data?.length > 0 ? entry.id : false;
+				}
+				case 'delete':
+					checkResponse(await reactives.$from()
+						.delete()
+						.eq(settings.idColumn, entry.id)
+					);
+					return entry.id;
+				default:
+					throw new Error(`Unknown write type "${entry.type}"`);
+			}
+		},
+
+
+		/**
+		* Internal function to perform a write operation now or queue it if the server is unreachable
+		* Writes are queued if we are offline, if other writes are already queued (to preserve order) or if the write fails due to a network error
+		*
+		* @access private
+		*
+		* @param {QueueItem} entry The write to perform
+		*
+		* @returns {Promise<*>} A promise which resolves with the result of the write (see $execWrite()), or the result of $enqueueWrite() if the write was queued
+		*/
+		async $dispatchWrite(entry) {
+			if (settings.queueStorage && (!reactives.$meta.online || reactives.$meta.writeQueue.length > 0))
+				return reactives.$enqueueWrite(entry);
+
+			try {
+				return await reactives.$execWrite(entry);
+			} catch (e) {
+				if (!settings.queueStorage || !(e instanceof NetworkError)) throw e;
+
+				reactives.$setOnline(false);
+				return reactives.$enqueueWrite(entry);
+			}
+		},
+
+
+		/**
+		* Internal function to append a write to the outbound queue
+		* Inserts are allocated an ID (via `generateId`) and converted into upserts so the local item can be referenced before the row exists
+		* Consecutive full document 'row' writes are collapsed as only the last state matters, so are recorded in `historyTable` as a single change
+		*
+		* @access private
+		*
+		* @param {QueueItem} entry The write to queue
+		*
+		* @returns {Promise<Null|String>} A promise which resolves with the row ID (allocated in the case of inserts) or null if the write has no ID
+		*/
+		async $enqueueWrite(entry) {
+			if (entry.type == 'insert')
+				entry = {type: 'upsert', id: settings.generateId(), row: entry.row};
+
+			let lastEntry = reactives.$meta.writeQueue.at(-1);
+			if (entry.type == 'row' && !entry.patch && lastEntry?.type == 'row' && !lastEntry.patch) { // Replace the previous full document write, keeping the base, previous state + version it expected
+				reactives.$meta.writeQueue.splice(-1, 1, {
+					...entry,
+					base: lastEntry.base,
+					previous: lastEntry.previous,
+					expectedVersion: lastEntry.expectedVersion,
+				});
+			} else {
+				reactives.$meta.writeQueue.push(entry);
+			}
+
+			settings.debug('QUEUED write', entry.type, `(${reactives.$meta.writeQueue.length} pending)`);
+			await reactives.$persistQueue();
+
+			return entry.id ?? null;
+		},
+
+
+		/**
+		* Internal function to update `$meta.pendingWrites` and persist the outbound queue via `queueStorage`
+		*
+		* @access private
+		* @returns {Promise} A promise which resolves when the operation has completed
+		*/
+		async $persistQueue() {
+			reactives.$meta.pendingWrites = reactives.$meta.writeQueue.length;
+
+			if (reactives.$meta.writeQueue.length > 0) {
+				await settings.queueStorage.setItem(queueKey, cloneDeep(reactives.$meta.writeQueue));
+			} else {
+				await settings.queueStorage.removeItem(queueKey);
+			}
+		},
+
+
+		/**
+		* Replay all queued writes, in order, against the server
+		* This is called automatically when the server becomes reachable again
+		*
+		* @returns {Promise} A promise which resolves when the queue has drained or the server becomes unreachable again
+		*/
+		async $replay() {
+			if (reactives.$replay.promise) return reactives.$replay.promise; // Already replaying
+
+			reactives.$replay.promise = (async ()=> {
+				settings.debug('REPLAY', reactives.$meta.writeQueue.length, 'queued writes');
+
+				while (reactives.$meta.online && reactives.$meta.writeQueue.length > 0) {
+					let entry = reactives.$meta.writeQueue[0];
+					let result;
+					try {
+						result = await reactives.$execWrite(entry);
+					} catch (e) {
+						if (e instanceof NetworkError) { // Went offline again - leave the queue as is
+							reactives.$setOnline(false);
+							break;
+						}
+						settings.debug('Drop queued write - server rejected it', entry);
+						await reactives.$handleError(e, 'replay');
+					}
+
+					reactives.$meta.writeQueue.shift();
+					await reactives.$persistQueue();
+
+					if (entry.type == 'row' && result === false) { // Server has moved on while we were offline
+						await reactives.$resolveConflict(null, entry.payload)
+							.catch(e => reactives.$handleError(e, 'replay'));
+					} else if (entry.type == 'update' && result === false) {
+						await reactives.$resolveRowConflict(entry.id, null)
+							.catch(e => reactives.$handleError(e, 'replay'));
+					}
+				}
+			})()
+				.finally(()=> reactives.$replay.promise = null);
+
+			return reactives.$replay.promise;
+		},
+
+
+		/**
+		* Internal function to mark the server as reachable / unreachable
+		* Going offline starts periodically probing the server, coming back online stops probing and replays all queued writes (re-reading `crdt` documents afterwards)
+		*
+		* @access private
+		*
+		* @param {Boolean} isOnline Whether the server is reachable
+		*/
+		$setOnline(isOnline) {
+			if (isOnline == reactives.$meta.online) return; // Already in the state requested
+			reactives.$meta.online = isOnline;
+
+			if (isOnline) {
+				settings.debug('ONLINE - replaying queued writes');
+				clearInterval(reactives.$meta.probeTimer);
+				reactives.$meta.probeTimer = null;
+				reactives.$replay()
+					.catch(e => reactives.$handleError(e, 'replay')) // Nothing awaits this replay so surface failures here
+					.then(()=> settings.crdt && reactives.$readCrdt()) // CRDT updates sent by others while we were offline were missed so merge them in
+					.catch(()=> {}); // Read failures are already surfaced by $readCrdt()
+			} else {
+				settings.debug('OFFLINE - queuing writes until the server is reachable');
+				reactives.$meta.probeTimer = setInterval(reactives.$probe, settings.probeInterval);
+			}
+		},
+
+
+		/**
+		* Internal function to check if the server is reachable with a minimal query
+		*
+		* @access private
+		* @returns {Promise} A promise which resolves when the operation has completed
+		*/
+		async $probe() {
+			try {
+				checkResponse(await reactives.$from()
+					.select(settings.idColumn)
+					.limit(1)
+				);
+				reactives.$setOnline(true);
+			} catch (e) {
+				if (!(e instanceof NetworkError)) reactives.$setOnline(true); // Server responded, even if it didn't like the query
+			}
+		},
+
+
+		/**
+		* Internal function called when detecting a remote change
+		*
+		* @access private
+		*
+		* @param {Object} [data] New data payload to proocess
+		*
+		* @returns {Promise} A promise which resolves when the operation has completed
+		*/
+		async $touchRemote(data) {
+			if (settings.isArray) return reactives.$touchRemoteArray(data);
+			if (settings.crdt) return reactives.$touchRemoteCrdt(data);
+
+			if (data.eventType == 'DELETE') {
+				if (data.old?.[settings.idColumn] != reactives.$meta.id) return; // Delete events cannot be filtered by Supabase so ignore other rows
+
+				settings.debug('REMOTE DELETE');
+				reactives.$meta.isDeleted = true;
+				await settings.onDelete(reactive);
+				return;
+			}
+
+			if (!data.new) return; // No payload to prcess anyway
+
+			// Tidy up incoming data fields
+			let dataVersion = data.new[settings.versionColumn];
+			let dataTimestamp = new Date(data.new[settings.timestampColumn]);
+
+			settings.debug(
+				'REMOTE CHANGE',
+				settings.versionColumn
+					? `Server@${dataVersion}, Local@${reactives.$meta.version}`
+					: `Server@${dataTimestamp ? dataTimestamp.toISOString() : 'NOW'}, Local@${reactives.$meta.timestamp ? reactives.$meta.timestamp : '[NONE]'}`,
+				reactives.$rowToData(data.new),
+			);
+
+			if (settings.versionColumn && dataVersion <= reactives.$meta.version) return settings.debug('Reject server update - local version is recent enough', {
+				localVersion: reactives.$meta.version,
+				serverVersion: dataVersion,
+			});
+			if (reactives.$meta.timestamp && dataTimestamp <= reactives.$meta.timestamp) return settings.debug('Reject server update - local timestamp is recent enough', {
+				localTimestamp: reactives.$meta.timestamp,
+				serverTimestamp: dataTimestamp,
+			});
+
+			// Merge with any local changes which have not yet been written
+			let serverRemote = reactives.$rowToData(data.new);
+			let remote = await reactives.$migrate(serverRemote, data.new);
+			let isMigrated = remote !== serverRemote;
+			try {
+				reactives.$validate(remote);
+			} catch (e) {
+				return reactives.$handleError(e, 'remote');
+			}
+			let local = reactives.$toObject();
+			let base = reactives.$meta.snapshot;
+			let isDirty = base && !isEqual(local, base);
+			if (isDirty) await settings.onConflict(local, remote);
+			let merged = isDirty ? settings.conflictStrategy(local, remote, base) : remote;
+			if (isDirty) settings.debug('CONFLICT - merging unsynced local changes with server update', {merged});
+
+			reactives.$meta.isDeleted = false; // Row may have been re-created
+			reactives.$meta.snapshot = cloneDeep(serverRemote);
+
+			await reactives.$set(merged, {
+				removeKeys: true,
+				patch: settings.writeMode == 'patch',
+				timestamp: dataTimestamp,
+				...(settings.versionColumn && {
+					version: dataVersion,
+				}),
+			});
+
+			await settings.onRead(remote);
+
+			// Push the merged (or migrated) state back to the server if it differs from what the server sent
+			if ((isDirty || isMigrated) && !isEqual(merged, serverRemote))
+				await reactives.$touchLocal();
+		},
+
+
+		/**
+		* Internal function called when a `broadcast` reactive receives the state of another client in its room
+		*
+		* @access private
+		*
+		* @param {Object} message Realtime broadcast message to process
+		*
+		* @returns {Promise} A promise which resolves when the operation has completed
+		*/
+		async $touchBroadcast(message) {
+			let remote = message.payload?.state;
+			if (!remote) return; // No payload to process anyway
+
+			settings.debug('REMOTE BROADCAST', remote);
+			try {
+				reactives.$validate(remote);
+			} catch (e) {
+				return reactives.$handleError(e, 'remote');
+			}
+
+			reactives.$meta.snapshot = cloneDeep(remote);
+			await reactives.$set(remote, {
+				patch: true, // Only touch the keys which changed so bindings elsewhere are left alone
+				updateDelay: 0, // Echoes of this state are skipped by $writeBroadcast() so there is no need to hold the write lock
+				timestamp: new Date(message.payload.timestamp),
+			});
+
+			await settings.onRead(remote);
+		},
+
+
+		/**
+		* Internal function called by $touchRemote() when detecting a remote change on an `isArray` reactive
+		* INSERT events append new items, UPDATE events replace existing items and DELETE events remove them
+		* Events which match our own last-synced row snapshot (i.e. echos of our own writes) are ignored
+		*
+		* @access private
+		*
+		* @param {Object} data Realtime payload to process
+		*
+		* @returns {Promise} A promise which resolves when the operation has completed
+		*/
+		async $touchRemoteArray(data) {
+			let row = data.eventType == 'DELETE' ? data.old : data.new;
+			let id = row?.[settings.idColumn];
+			if (id === undefined || id === null) return; // No payload to process anyway
+
+			let index = reactive.findIndex(item => item.id == id);
+			let snapshot = reactives.$meta.rows[id];
+
+			if (data.eventType == 'DELETE') {
+				if (index < 0) return settings.debug('Ignore remote delete - row is not present locally', {id});
+
+				settings.debug('REMOTE DELETE', {id});
+				delete reactives.$meta.rows[id];
+				if (settings.pageSize) reactives.$adjustTotal(-1);
+
+				await reactives.$set(reactives.$toObject().filter(item => item.id != id), {
+					removeKeys: true,
+				});
+
+				await settings.onDelete(row);
+				return;
+			}
+
+			// INSERT or UPDATE
+			if (!matchFilter(row, settings.filter)) { // Row doesn't (or no longer) belong to this collection - realtime can only filter on one condition so the rest are checked here
+				if (index < 0) return settings.debug('Ignore remote change - row does not match filter', {id});
+
+				settings.debug('REMOTE REMOVE - row no longer matches filter', {id});
+				delete reactives.$meta.rows[id];
+				if (settings.pageSize) reactives.$adjustTotal(-1);
+
+				await reactives.$set(reactives.$toObject().filter(item => item.id != id), {
+					removeKeys: true,
+				});
+				return;
+			}
+
+			let serverRowData = reactives.$rowToData(row);
+			let rowData = await reactives.$migrate(serverRowData, row);
+			let dataVersion = settings.versionColumn ? row[settings.versionColumn] : null;
+			let dataTimestamp = new Date(row[settings.timestampColumn]);
+
+			try {
+				reactives.$validate(rowData);
+			} catch (e) {
+				return reactives.$handleError(e, 'remote');
+			}
+
+			if (snapshot && isEqual(snapshot.data, serverRowData)) return settings.debug('Reject server update - local row is already up to date', {id});
+			if (data.eventType == 'INSERT' && index < 0 && reactives.$meta.status == 'saving' && reactives.$meta.timestamp && dataTimestamp.getTime() == reactives.$meta.timestamp.getTime()) // Echo of our own insert which hasn't resolved locally yet
+				return settings.debug('Reject server insert - row was created locally', {id});
+
+			if (settings.pageSize && index < 0) { // Row isn't loaded - only materialize inserts which sort into the loaded page
+				if (data.eventType != 'INSERT') return settings.debug('Ignore remote change - row is outside the loaded page', {id});
+				reactives.$adjustTotal(1);
+
+				let position = settings.order
+					? reactive.findIndex(other => compareOrder(reactives.$rowToSort(row), reactives.$meta.rows[other.id]?.sort, settings.order) < 0)
+					: -1;
+				if (
+					(position < 0 && reactive.length >= reactives.$meta.range[1] - reactives.$meta.range[0] + 1) // Sorts after a full page
+					|| (position == 0 && reactives.$meta.range[0] > 0) // Sorts before the loaded page
+				) return settings.debug('Ignore remote insert - row is outside the loaded page', {id});
+			}
+
+			settings.debug(index < 0 ? 'REMOTE INSERT' : 'REMOTE CHANGE', {id}, rowData);
+
+			reactives.$meta.rows[id] = {
+				data: cloneDeep(serverRowData),
+				version: dataVersion,
+				...(settings.order && {sort: reactives.$rowToSort(row)}),
+			};
+
+			let item = {id, ...rowData};
+			let newState = reactives.$toObject();
+			if (settings.order) { // (Re)position the row by its sort order
+				if (index >= 0) newState.splice(index, 1);
+				let position = newState.findIndex(other => compareOrder(reactives.$meta.rows[id].sort, reactives.$meta.rows[other.id]?.sort, settings.order) < 0);
+				newState.splice(position < 0 ? newState.length : position, 0, item);
+			} else if (index < 0) {
+				newState.push(item);
+			} else {
+				newState[index] = item;
+			}
+
+			let maxLength =
+				settings.pageSize ? reactives.$meta.range[1] - reactives.$meta.range[0] + 1
+				: settings.range ? settings.range[1] - settings.range[0] + 1
+				: settings.limit;
+			if (maxLength && newState.length > maxLength) // Drop rows pushed out of the limited collection
+				newState.splice(maxLength).forEach(other => delete reactives.$meta.rows[other.id]);
+
+			await reactives.$set(newState, {
+				removeKeys: true,
+				timestamp: dataTimestamp,
+				...(settings.versionColumn && dataVersion > reactives.$meta.version && {
+					version: dataVersion,
+				}),
+			});
+
+			await settings.onRead(item);
+
+			if (rowData !== serverRowData) // Write back the migrated row
+				await reactives.$touchLocal();
+		},
+
+
+		/**
+		* Internal function to create a Supabase query builder against `crdtTable`
+		* Like `$fromHistory()` this ignores `dbSchema` as one update table is shared by the documents of every schema
+		*
+		* @access private
+		*
+		* @returns {PostgrestQueryBuilder} A query builder to chain operations from
+		*/
+		$fromCrdt() {
+			let [schema, table] = reactives.$crdtTablePath();
+			return settings.supabase.schema(schema).from(table);
+		},
+
+
+		/**
+		* Internal function to split `crdtTable` into its schema + table, defaulting to the `public` schema
+		*
+		* @access private
+		*
+		* @returns {Array<String>} A tuple of the schema + table
+		*/
+		$crdtTablePath() {
+			return settings.crdtTable.includes('.') ? settings.crdtTable.split('.', 2) : ['public', settings.crdtTable];
+		},
+
+
+		/**
+		* Internal function to create a query for the stored CRDT updates of the document, oldest first
+		*
+		* @access private
+		* @returns {PostgrestFilterBuilder} A query which resolves with the update rows
+		*/
+		$getCrdtQuery() {
+			return reactives.$fromCrdt()
+				.select('id,created_at,data')
+				.eq('doc_schema', settings.dbSchema || 'public')
+				.eq('doc_table', settings.table)
+				.eq('doc_id', settings.id)
+				.order('id');
+		},
+
+
+		/**
+		* Internal function used by $read() to fetch + merge all stored CRDT updates of the document
+		*
+		* @access private
+		* @returns {Promise} A promise which resolves when the operation has completed
+		* @throws {SupabaseReactiveError} A NetworkError, NotFoundError (if `createMissing=false`), PermissionDeniedError, RemoteError or ValidationError if the read failed
+		*/
+		async $readCrdt() {
+			reactives.$meta.status = 'loading';
+			let data, merged, pending;
+			try {
+				({data} = checkResponse(await reactives.$getCrdtQuery()));
+				if (!data.length && !settings.createMissing) throw new NotFoundError('Document not found');
+				({merged, pending} = reactives.$mergeCrdt(data));
+			} catch (e) {
+				throw await reactives.$handleError(e, 'read');
+			}
+
+			if (reactives.$meta.version === null) {
+				settings.debug('INIT VALUE', merged);
+				reactives.$meta.version = 0;
+				await settings.onInit(merged);
+			} else {
+				settings.debug('READ VALUE', merged);
+				await settings.onRead(merged);
+			}
+
+			let latest = data.reduce((latest, row) => latest === null || latest < row.created_at ? row.created_at : latest, null);
+			await reactives.$set(merged, {
+				patch: true,
+				timestamp: latest && new Date(latest),
+			});
+
+			reactives.$meta.status = 'idle';
+			reactives.$meta.error = null;
+
+			if (pending) await reactives.$pushCrdt(pending);
+			if (settings.crdtCompactAfter && data.length > settings.crdtCompactAfter)
+				await reactives.$compactCrdt(data).catch(e => reactives.$handleError(e, 'write')); // The stored updates are still valid if compaction fails
+		},
+
+
+		/**
+		* Internal function to merge stored CRDT updates into the document
+		* Local changes which have not been sent yet are folded into the document first so they merge with the incoming updates rather than being overwritten
+		*
+		* @access private
+		*
+		* @param {Array<Object>} rows The update rows to merge
+		*
+		* @returns {Object} An object of the form `{merged, pending}` where `merged` is the merged state and `pending` is the update holding any unsent local changes (or null) which should be sent via $pushCrdt()
+		* @throws {ValidationError} If the local or merged state fails schema validation, in which case the document is left unchanged
+		*/
+		$mergeCrdt(rows) {
+			let updates = rows.map(row => decodeBase64(row.data));
+
+			let local = reactives.$toObject();
+			let isDirty = reactives.$meta.snapshot && !isEqual(local, reactives.$meta.snapshot);
+			if (isDirty) reactives.$validate(local);
+
+			if (settings.schema) { // Merges cannot be undone so validate the outcome against a copy of the document first
+				let preview = settings.crdt.create();
+				[settings.crdt.encodeState(crdtDoc), ...updates].forEach(update => settings.crdt.applyUpdate(preview, update));
+				reactives.$validate(settings.crdt.toJSON(preview));
+			}
+
+			let pending = isDirty ? settings.crdt.change(crdtDoc, local) : null;
+			updates.forEach(update => settings.crdt.applyUpdate(crdtDoc, update));
+
+			let merged = settings.crdt.toJSON(crdtDoc);
+			reactives.$meta.snapshot = cloneDeep(merged);
+			return {merged, pending};
+		},
+
+
+		/**
+		* Internal function used by $touchLocal() to fold the local state of a `crdt` reactive into its document + send the resulting update
+		*
+		* @access private
+		* @returns {Promise} A promise which resolves when the operation has completed
+		*/
+		async $writeCrdt() {
+			let payload = reactives.$toObject();
+			reactives.$validate(payload);
+
+			let update = settings.crdt.change(crdtDoc, payload);
+			reactives.$meta.snapshot = cloneDeep(payload);
+			if (!update) return settings.debug('LOCAL CHANGE ignored - no differences from the CRDT document');
+
+			await settings.onChange(payload);
+			await reactives.$pushCrdt(update);
+		},
+
+
+		/**
+		* Internal function to append a CRDT update to `crdtTable`, queuing it if the server is unreachable
+		*
+		* @access private
+		*
+		* @param {Uint8Array} update The CRDT update to send
+		*
+		* @returns {Promise} A promise which resolves when the operation has completed
+		*/
+		async $pushCrdt(update) {
+			reactives.$meta.timestamp = new Date();
+			settings.debug('LOCAL CHANGE', {crdtUpdate: update.length});
+
+			let written = await reactives.$dispatchWrite({type: 'crdt', update: encodeBase64(update)});
+			if (written === null) settings.debug('LOCAL CHANGE queued until the server is reachable');
+		},
+
+
+		/**
+		* Internal function called by $touchRemote() when another client appends a CRDT update for the document
+		* Updates are merged rather than compared by timestamp / version so concurrent edits are never lost, echoes of our own updates merge without changing anything
+		*
+		* @access private
+		*
+		* @param {Object} data Realtime payload to process
+		*
+		* @returns {Promise} A promise which resolves when the operation has completed
+		*/
+		async $touchRemoteCrdt(data) {
+			if (
+				data.eventType != 'INSERT'
+				|| (data.new?.doc_schema ?? 'public') != (settings.dbSchema || 'public')
+				|| data.new?.doc_table != settings.table
+				|| data.new?.doc_id != settings.id
+			) return; // Not an update to this document
+
+			let merged, pending;
+			try {
+				({merged, pending} = reactives.$mergeCrdt([data.new]));
+			} catch (e) {
+				return reactives.$handleError(e, 'remote');
+			}
+
+			if (!isEqual(merged, reactives.$toObject())) {
+				settings.debug('REMOTE CHANGE', merged);
+				await reactives.$set(merged, {
+					patch: true,
+					timestamp: new Date(data.new.created_at),
+				});
+				await settings.onRead(merged);
+			}
+
+			if (pending) await reactives.$pushCrdt(pending).catch(e => reactives.$handleError(e, 'write'));
+		},
+
+
+		/**
+		* Internal function to replace the stored CRDT updates of the document with a single update holding its entire state
+		*
+		* @access private
+		*
+		* @param {Array<Object>} rows The update rows which have been merged into the document and can be removed
+		*
+		* @returns {Promise} A promise which resolves when the operation has completed
+		*/
+		async $compactCrdt(rows) {
+			settings.debug('COMPACT', rows.length, 'CRDT updates');
+
+			checkResponse(await reactives.$fromCrdt()
+				.insert({
+					doc_schema: settings.dbSchema || 'public',
+					doc_table: settings.table,
+					doc_id: settings.id,
+					data: encodeBase64(settings.crdt.encodeState(crdtDoc)),
+				})
+			);
+
+			checkResponse(await reactives.$fromCrdt()
+				.delete()
+				.in('id', rows.map(row => row.id))
+			);
+		},
+
+
+		/**
+		* Internal function to extract the sort values of an incoming Supabase row, used to position rows within ordered `isArray` reactives
+		*
+		* @access private
+		*
+		* @param {Object} row The raw Supabase row
+		* @returns {Object} The value of each `order` column (or the base column of JSON paths)
+		*/
+		$rowToSort(row) {
+			return Object.fromEntries(
+				settings.order
+					.map(({column}) => column.split('->')[0])
+					.map(column => [column, row[column] ?? null])
+			);
+		},
+
+
+		/**
+		* Internal function to adjust `$meta.total` (and `$meta.hasMore`) of paginated reactives as rows are created or removed
+		*
+		* @access private
+		*
+		* @param {Number} delta The number of rows created (or removed if negative)
+		*/
+		$adjustTotal(delta) {
+			reactives.$meta.total = Math.max(0, (reactives.$meta.total ?? 0) + delta);
+			reactives.$meta.hasMore = reactives.$meta.range[1] + 1 < reactives.$meta.total;
+		},
+
+
+		/**
+		* Internal function to convert an incoming Supabase row into local data
+		* This reads either `dataColumn` or, if `columns` is set, each mapped column via its serializer
+		*
+		* @access private
+		*
+		* @param {Object} row The raw Supabase row
+		* @returns {Object} The local data (excluding the ID)
+		*/
+		$rowToData(row) {
+			if (!settings.columns) return cloneDeep(row[settings.dataColumn] || {});
+
+			return Object.fromEntries(
+				Object.entries(settings.columns)
+					.filter(([, spec]) => spec.column in row)
+					.map(([key, spec]) => [key, spec.deserialize(row[spec.column])])
+			);
+		},
+
+
+		/**
+		* Internal function to convert local data into the outgoing Supabase row fields
+		* This is the reverse of $rowToData()
+		*
+		* @access private
+		*
+		* @param {Object} data The local data to convert
+		* @param {Null|Object} [base] If `columns` is set, only include the columns whose value differs from this state
+		* @returns {Object} The Supabase row fields to write (excluding the ID, timestamp + version)
+		*/
+		$dataToRow(data, base) {
+			let migrationVersion = settings.migrations?.length;
+
+			let row = !settings.columns
+				? {
+					[settings.dataColumn]: migrationVersion && !settings.migrationColumn
+						? {[settings.migrationKey]: migrationVersion, ...data} // Stamp new documents with the current migration version
+						: data,
+				}
+				: Object.fromEntries(
+					Object.entries(settings.columns)
+						.filter(([key]) => !base || !isEqual(data[key], base[key]))
+						.map(([key, spec]) => [spec.column, spec.serialize(data[key] ?? null)])
+				);
+
+			if (migrationVersion && settings.migrationColumn && !isEmpty(row))
+				row[settings.migrationColumn] = migrationVersion;
+
+			return row;
+		},
+
+
+		/**
+		* Internal function to upgrade a document stored in an older shape via `migrations`
+		* The migration version is read from `migrationColumn` of the row if set, otherwise from the `migrationKey` of the document
+		*
+		* @access private
+		*
+		* @param {Object} data The local data (as returned by $rowToData()) to upgrade
+		* @param {Object} row The raw Supabase row the data came from
+		*
+		* @returns {Promise<Object>} A promise which resolves with the upgraded data, or the input data as-is if no upgrade was needed
+		*/
+		async $migrate(data, row) {
+			let target = settings.migrations?.length;
+			if (!target) return data;
+
+			let version = (settings.migrationColumn ? row[settings.migrationColumn] : data[settings.migrationKey]) ?? 0;
+			if (version >= target) return data;
+
+			settings.debug('MIGRATE', `v${version} -> v${target}`);
+			let migrated = cloneDeep(data);
+			for (let step = version; step < target; step++) {
+				migrated = await settings.migrations[step](migrated);
+			}
+			if (!settings.migrationColumn) migrated[settings.migrationKey] = target;
+
+			return migrated;
+		},
+
+
+		/**
+		* Internal function to validate data against `schema`
+		*
+		* @access private
+		*
+		* @param {Object|Array} data The data to validate. For `isArray` reactives this can be either the entire array (each item is validated) or a single item
+		* @throws {ValidationError} If the data does not match the schema
+		*/
+		$validate(data) {
+			if (!settings.schema) return;
+
+			let errors = settings.isArray && Array.isArray(data)
+				? data.flatMap((item, index) =>
+					validate(settings.schema, omit(item, 'id'))
+						.map(error => `[${index}]${error}`)
+				)
+				: validate(settings.schema, data);
+
+			if (errors.length) throw new ValidationError(`Invalid data - ${errors.join(', ')}`, errors);
+		},
+
+
+		/**
+		* Internal function to record a failed remote operation
+		* Sets `$meta.status` + `$meta.error` and calls the `onError` callback
+		*
+		* @access private
+		*
+		* @param {Error} err The error which occurred
+		* @param {String} context The operation which failed. ENUM: 'read', 'write', 'remote', 'replay', 'subscribe'
+		*
+		* @returns {Promise<Error>} A promise which resolves with the input error so it can be rethrown
+		*/
+		async $handleError(err, context) {
+			settings.debug(`ERROR during ${context}`, err.message);
+			reactives.$meta.status = 'error';
+			reactives.$meta.error = err;
+			await settings.onError(err, context);
+			return err;
+		},
+
+
+		/**
+		* Universal wrapper around setTimeout() which returns a promise
+		* NOTE: We can't use node:timers/promises as this may be a front-end install
+		*
+		* @param {Number} [delay=0] The number of milliseconds to wait
+		* @returns {Promise} A promise which resolves when the timeout has completed
+		*/
+		async $tick(delay = 0) {
+			return new Promise(resolve => setTimeout(()=> resolve(), delay));
+		},
+
+
+		/**
+		* Wait for all local writes to complete
+		* NOTE: This only promises that local writes complete, not that a subsequent read is required
+		* NOTE: Writes queued while offline are not waited on, only a replay which is already in progress
+		*
+		* @param {Number} [delay=0] The number of milliseconds to wait for write operations to clear
+		* @returns {Promise} A promise which resolves when the operation has completed
+		* @throws {SupabaseReactiveError} The error from the last write if it failed
+		*/
+		async $flush(delay = 100) {
+			return Promise.all([
+				reactives.$touchLocal.promise,
+				reactives.$replay.promise,
+				reactives.$tick(delay),
+			]);
+		},
+
+
+		/**
+		* A single undoable local change
+		*
+		* @typedef {Object} HistoryEntry
+		* @property {Date} timestamp When the change was recorded
+		* @property {Array<Object>} undo JSON-Patch which reverts the change
+		* @property {Array<Object>} redo JSON-Patch which re-applies the change
+		*/
+
+
+		/**
+		* A single write recorded in `historyTable`
+		*
+		* @typedef {Object} AuditEntry
+		* @property {Null|Number} version The version written if `versionColumn` is enabled
+		* @property {Null|String} author The user ID of the `supabase.auth` session which made the write, if any
+		* @property {Date} timestamp When the write was made
+		* @property {Array<Object>} patch JSON-Patch from the previous state of the document
+		* @property {Object} data The full document as written
+		*/
+
+
+		/**
+		* Internal function called by $touchLocal() to record a local change onto the undo stack
+		* Each call records a single entry so changes grouped by the watcher (and `throttle`) are undone together
+		*
+		* @access private
+		*/
+		$recordHistory() {
+			if (!settings.historySize) return;
+
+			let state = reactives.$toObject();
+			let base = reactives.$meta.historyBase ?? (settings.isArray ? [] : {});
+			let redo = jsonPatch.compare(base, state);
+			if (!redo.length) return; // Nothing changed since the last entry
+
+			reactives.$meta.undoStack.push({
+				timestamp: new Date(),
+				undo: jsonPatch.compare(state, base),
+				redo,
+			});
+			if (reactives.$meta.undoStack.length > settings.historySize)
+				reactives.$meta.undoStack.splice(0, reactives.$meta.undoStack.length - settings.historySize);
+
+			reactives.$meta.redoStack = [];
+			reactives.$meta.historyBase = state;
+		},
+
+
+		/**
+		* Internal function to apply a history patch to the local state
+		* The change is picked up by the local watcher and synced to the server like any other local change but is not itself recorded
+		*
+		* @access private
+		*
+		* @param {Array<Object>} patch The JSON-Patch to apply
+		*/
+		$applyHistory(patch) {
+			jsonPatch.applyPatch(reactive, cloneDeep(patch), false);
+			reactives.$meta.historyBase = reactives.$toObject();
+		},
+
+
+		/**
+		* Revert the last local change
+		* The reverted state is synced to the server via the usual write path, use `$flush()` to wait for it
+		*
+		* @returns {Boolean} True if a change was undone, false if there was nothing to undo
+		*/
+		$undo() {
+			reactives.$recordHistory(); // Record any pending changes the watcher hasn't seen yet so they are undone first
+			let entry = reactives.$meta.undoStack.pop();
+			if (!entry) return false;
+
+			settings.debug('UNDO', entry.undo);
+			reactives.$applyHistory(entry.undo);
+			reactives.$meta.redoStack.push(entry);
+			return true;
+		},
+
+
+		/**
+		* Re-apply the last change reverted via `$undo()`
+		* Redo history is discarded whenever a new local change is made
+		*
+		* @returns {Boolean} True if a change was redone, false if there was nothing to redo
+		*/
+		$redo() {
+			reactives.$recordHistory(); // Any pending change discards the redo history
+			let entry = reactives.$meta.redoStack.pop();
+			if (!entry) return false;
+
+			settings.debug('REDO', entry.redo);
+			reactives.$applyHistory(entry.redo);
+			reactives.$meta.undoStack.push(entry);
+			return true;
+		},
+
+
+		/**
+		* Whether there are any local changes which can be undone
+		*
+		* @returns {Boolean} True if `$undo()` would revert a change
+		*/
+		$canUndo() {
+			return reactives.$meta.undoStack.length > 0;
+		},
+
+
+		/**
+		* Whether there are any undone changes which can be redone
+		*
+		* @returns {Boolean} True if `$redo()` would re-apply a change
+		*/
+		$canRedo() {
+			return reactives.$meta.redoStack.length > 0;
+		},
+
+
+		/**
+		* Fetch the undo / redo history
+		*
+		* @returns {Object} An object of the form `{undo:Array<HistoryEntry>, redo:Array<HistoryEntry>}`, each ordered oldest first
+		*/
+		$history() {
+			return {
+				undo: cloneDeep(reactives.$meta.undoStack),
+				redo: cloneDeep(reactives.$meta.redoStack).reverse(),
+			};
+		},
+
+
+		/**
+		* Fetch the audit log of writes to this document recorded in `historyTable`
+		* Unlike `$history()` this covers writes from all clients and sessions
+		*
+		* @param {Object} [options] Additional options to mutate behaviour
+		* @param {Number} [options.limit] The maximum number of entries to fetch
+		*
+		* @returns {Promise<Array<AuditEntry>>} A promise which resolves with the recorded writes, newest first
+		* @throws {SupabaseReactiveError} A NetworkError, PermissionDeniedError or RemoteError if the read failed
+		*/
+		async $auditLog(options) {
+			if (!settings.historyTable) throw new Error('Audit logging is not enabled, set the `historyTable` option to use `$auditLog()`');
+
+			try {
+				let query = reactives.$getHistoryQuery('version, author, patch, data, created_at');
+				if (options?.limit) query.limit(options.limit);
+
+				let {data} = checkResponse(await query);
+				return data.map(entry => ({
+					version: entry.version,
+					author: entry.author,
+					timestamp: new Date(entry.created_at),
+					patch: entry.patch,
+					data: entry.data,
+				}));
+			} catch (e) {
+				throw await reactives.$handleError(e, 'history');
+			}
+		},
+
+
+		/**
+		* Fetch the state of this document as it was at a given version or point in time, as recorded in `historyTable`
+		* The local state is not changed, see `$revert()` to restore it
+		*
+		* @param {Number|Date} versionOrDate Either the `versionColumn` version to fetch or a date to fetch the last state written on or before
+		*
+		* @returns {Promise<Null|Object>} A promise which resolves with the document state or null if no write was recorded at that point
+		* @throws {SupabaseReactiveError} A NetworkError, PermissionDeniedError or RemoteError if the read failed
+		*/
+		async $at(versionOrDate) {
+			if (!settings.historyTable) throw new Error('Audit logging is not enabled, set the `historyTable` option to use `$at()`');
+			if (!(versionOrDate instanceof Date) && !settings.versionColumn) throw new Error('Fetching by version requires `versionColumn`, pass a Date instead');
+
+			try {
+				let {data} = checkResponse(await (versionOrDate instanceof Date
+					? reactives.$getHistoryQuery('data').lte('created_at', versionOrDate.toISOString())
+					: reactives.$getHistoryQuery('data', 'version').lte('version', versionOrDate)
+				).limit(1));
+				return data[0]?.data ?? null;
+			} catch (e) {
+				throw await reactives.$handleError(e, 'history');
+			}
+		},
+
+
+		/**
+		* Restore the state of this document to how it was at a given version or point in time, as recorded in `historyTable`
+		* The restored state is written as a new change so it is also recorded in the audit log + as a single step which `$undo()` reverts
+		*
+		* @param {Number|Date} versionOrDate Either the `versionColumn` version to restore or a date to restore the last state written on or before
+		*
+		* @returns {Promise} A promise which resolves when the restored state has been written
+		* @throws {NotFoundError} If no write was recorded at that point
+		*/
+		async $revert(versionOrDate) {
+			let data = await reactives.$at(versionOrDate);
+			if (!data) throw new NotFoundError(`No recorded state at ${versionOrDate instanceof Date ? versionOrDate.toISOString() : `version ${versionOrDate}`}`);
+
+			settings.debug('REVERT', {versionOrDate, data});
+			return reactives.$adoptLocal(data);
+		},
+
+
+		/**
+		* Internal function to create a Supabase query builder against `historyTable`
+		* Unlike `$from()` this ignores `dbSchema` as one history table is shared by the documents of every schema
+		*
+		* @access private
+		*
+		* @returns {PostgrestQueryBuilder} A query builder to chain operations from
+		*/
+		$fromHistory() {
+			let [schema, table] = settings.historyTable.includes('.') ? settings.historyTable.split('.', 2) : ['public', settings.historyTable];
+			return settings.supabase.schema(schema).from(table);
+		},
+
+
+		/**
+		* Internal function to build a query for the `historyTable` entries of this document, newest first
+		*
+		* @access private
+		*
+		* @param {String} columns The columns to select
+		* @param {String} [orderBy='created_at'] The column to sort newest first by, 'created_at' or 'version'
+		*
+		* @returns {PostgrestFilterBuilder} The Supabase query
+		*/
+		$getHistoryQuery(columns, orderBy = 'created_at') {
+			return reactives.$fromHistory()
+				.select(columns)
+				.eq('doc_schema', settings.dbSchema || 'public')
+				.eq('doc_table', settings.table)
+				.eq('doc_id', reactives.$meta.id)
+				.order(orderBy, {ascending: false})
+				.order('id', {ascending: false});
+		},
+
+
+		/**
+		* Share (or stop sharing) this clients presence state with peers, see `$presence`
+		* If the channel is not yet subscribed the state is shared once it is
+		*
+		* @access private
+		*
+		* @param {Null|Object} state The state to share or null to stop sharing
+		* @returns {Promise} A promise which resolves when the operation has completed
+		* @throws {RemoteError} If the server did not accept the presence state
+		*/
+		async $track(state) {
+			if (!settings.presence) throw new Error('Presence is not enabled, set the `presence` option to use `$presence`');
+			reactives.$presence.state = state;
+
+			let channel = realtimeChannel;
+			if (channel?.state != 'joined') return settings.debug('Defer presence until subscribed', state);
+
+			settings.debug(state ? 'TRACK PRESENCE' : 'UNTRACK PRESENCE', state);
+			let response = state ? await channel.track(state) : await channel.untrack();
+			if (response != 'ok') throw await reactives.$handleError(new RemoteError(`Failed to ${state ? 'track' : 'untrack'} presence - ${response}`), 'presence');
+		},
+
+
+		/**
+		* Internal function called when the presence state of the channel changes
+		* Recomputes `$presence.peers` from the channel presence state, excluding this client
+		*
+		* @access private
+		*/
+		$touchPresence() {
+			let presenceState = realtimeChannel?.presenceState() || {};
+
+			reactives.$presence.peers = Object.entries(presenceState)
+				.filter(([key]) => key != reactives.$presence.key)
+				.flatMap(([key, presences]) => presences.map(presence => ({
+					key,
+					...omit(presence, 'presence_ref'),
+				})));
+		},
+
+
+		/**
+		* Toggle subscription to the realtime datafeed
+		*
+		* @param {Boolean} [isSubscribed=true] Whether to enact the subscriptioon, set to false to remove subscriptions
+		*
+		* @returns {Promise<RealtimeChannel>} A promise which resolves when the operation has completed, subscribing resolves with the created channel
+		*/
 		async $subscribe(isSubscribed = true) {
-			if (isSubscribed == reactives.$subscribe.isSubscribed) return; // Already in the state requested
+			if (isSubscribed == !!reactives.$subscribe.isSubscribed) return; // Already in the state requested
 
 			if (isSubscribed) { // Subscribe to remote
+				reactives.$subscribe.isSubscribed = true;
 				settings.debug('Subscribed to remote changes');
-				let subscribeQuery = {
-					event: 'UPDATE',
-					schema: 'public',
-					table: settings.table,
-					filter: settings.isArray || settings.filter
-						? settings.filter.join('')
-						: `${settings.idColumn}=eq.${settings.id}`,
-				};
-
-				return settings.supabase.channel('any')
-					.on('postgres_changes', subscribeQuery, reactives.$touchRemote)
-					.subscribe();
+				let subscribeQuery = settings.crdt
+					? {
+						event: 'INSERT',
+						schema: reactives.$crdtTablePath()[0],
+						table: reactives.$crdtTablePath()[1],
+						filter: `doc_id=eq.${settings.id}`, // Documents of other schemas + tables sharing `crdtTable` are ignored in $touchRemoteCrdt()
+					}
+					: {
+						event: '*',
+						schema: settings.dbSchema || 'public',
+						table: settings.table,
+						filter: settings.isArray || settings.filter
+							? realtimeFilter(settings.filter) // Conditions realtime can't express are matched client side in $touchRemoteArray()
+							: `${settings.idColumn}=eq.${settings.id}`,
+					};
+
+				let channelName = settings.channelName(settings);
+				if (settings.supabase.getChannels?.().some(existing => existing.topic == `realtime:${channelName}`)) { // Channels are removed by topic so another reactive of this client must not share it
+					reactives.$subscribe.isSubscribed = false;
+					throw new Error(`Realtime channel "${channelName}" is already used by another reactive of this Supabase client, use \`shared: true\` to reuse one reactive for the same ${settings.broadcast ? 'room' : 'row'}`);
+				}
 
+				let channel = settings.supabase.channel(channelName, {
+					config: {
+						...(settings.presence && {presence: {key: reactives.$presence.key}}),
+						...(settings.broadcast && {broadcast: {self: false}}),
+					},
+				});
+
+				if (settings.broadcast) {
+					channel.on('broadcast', {event: 'state'}, reactives.$touchBroadcast);
+				} else {
+					channel.on('postgres_changes', subscribeQuery, reactives.$touchRemote);
+				}
+				if (settings.presence) channel.on('presence', {event: 'sync'}, reactives.$touchPresence);
+
+				realtimeChannel = channel
+					.subscribe((status, err) => {
+						if (status == 'SUBSCRIBED') { // Realtime connected - server must be reachable
+							reactives.$setOnline(true);
+							if (reactives.$presence.state) reactives.$track(reactives.$presence.state).catch(()=> {}); // (Re)share presence on each join, errors are surfaced via onError
+						} else if (status == 'CHANNEL_ERROR') {
+							reactives.$handleError(new RemoteError(err?.message || 'Realtime channel error'), 'subscribe');
+						}
+					});
+
+				return realtimeChannel;
 			} else { // Unsubscribe from remote
+				reactives.$subscribe.isSubscribed = false;
 				settings.debug('UNsubscribed from remote changes');
-				settings.debug('TODO: Unsub from remote watchers is not yet supported');
+
+				if (realtimeChannel) {
+					let channel = realtimeChannel;
+					realtimeChannel = null;
+					reactives.$presence.peers = [];
+					await settings.supabase.removeChannel(channel);
+				}
 			}
 		},
 
 
 		/**
 		* Release all watchers and subscriptions, local and remote
+		* If the reactive is shared this only releases this consumer, the reactive is torn down when the last consumer releases it
 		*
 		* @returns {Promise} A promise which resolves when the operation has completed
 		*/
 		async $destroy() {
+			if (shared) {
+				if (--shared.consumers > 0) return settings.debug('Release shared reactive', `(${shared.consumers} consumers remaining)`);
+				if (sharedLookup.get(sharedKey) === shared) sharedLookup.delete(sharedKey);
+			}
+
+			if (settings.queueStorage) {
+				queueKeys.get(settings.queueStorage).delete(queueKey);
+				queueKeyRegistry.unregister(reactive);
+			}
+
 			await settings.onDestroy(reactive);
 
+			clearInterval(reactives.$meta.probeTimer);
+			reactives.$meta.probeTimer = null;
+
 			await Promise.all([
 				reactives.$watch(false),
 				reactives.$subscribe(false),
@@ -571,7 +2843,7 @@ export default function SupabaseReactive(path, options) {
 		},
 	};
 
-	if (settings.attachReactives && !settings.isArray) {
+	if (settings.attachReactives) {
 		Object.defineProperties(
 			reactive,
 			Object.fromEntries(
@@ -588,10 +2860,240 @@ export default function SupabaseReactive(path, options) {
 		);
 	}
 
-	return reactives.$init();
+	if (settings.shared) {
+		shared = {reactive, ready: Promise.resolve(reactive), consumers: 1};
+		sharedLookup.set(sharedKey, shared);
+	}
+
+	if (!settings.init) return reactive;
+
+	let ready = reactives.$init();
+	if (shared) {
+		shared.ready = ready;
+		ready.catch(()=> { // Don't hand out reactives which failed to initialize
+			if (sharedLookup.get(sharedKey) === shared) sharedLookup.delete(sharedKey);
+		});
+	}
+	return ready;
 }
 
 
+/**
+* Return a lookup of independently synced row reactives keyed by ID
+* Each row reactive is created (and starts loading) on first access and released once it is no longer referenced and has no unsynced changes
+* All rows share a single realtime channel, with changes fanned out to each row by ID
+*
+* @param {String} table The Supabase table to sync rows from, optionally prefixed with the Postgres schema as `schema.table`
+*
+* @param {Object} [options] Additional options to configure behaviour, passed to each row reactive - see `SupabaseReactive()`
+* @param {Array} [options.filter] Optional realtime filter to limit the shared subscription to
+*
+* @returns {Proxy} A lookup where `map[id]` returns the row reactive for that ID along with the utility functions `$get(id)`, `$release(id)` and `$destroy()`
+*
+* @example Lazily bind rows as they are accessed
+* let todos = SupabaseReactive.map('todos', {supabase});
+* todos['some-id'].title = 'Updated'; // Row is created, read + written to independently
+* let other = await todos.$get('other-id'); // Wait for the row to be loaded
+*/
+SupabaseReactive.map = function SupabaseReactiveMap(table, options) {
+	let settings = {
+		...defaults,
+		...options,
+		table,
+	};
+	if (!settings.supabase) throw new Error('No `supabase` setting given');
+	if (table.includes('.')) [settings.dbSchema, settings.table] = table.split('.', 2);
+
+	let debug = settings.debug && typeof settings.debug == 'function' ? settings.debug.bind(settings)
+		: settings.debug === false ? ()=> {}
+		: console.log.bind(settings, `[SUPABASE/${settings.table}/*]`);
+
+	/**
+	* Lookup of each row ID to its (weakly held) reactive + eventual init promise
+	* @type {Map<String, {ref:WeakRef<Reactive>, ready:Promise}>}
+	*/
+	let rows = new Map();
+
+	/**
+	* Registry which removes rows from the lookup once they have been garbage collected
+	* @type {FinalizationRegistry}
+	*/
+	let registry = new FinalizationRegistry(id => {
+		if (rows.get(id)?.ref.deref()) return; // Row has since been recreated
+		debug('Release unused row', id);
+		rows.delete(id);
+	});
+
+	/**
+	* Rows with local changes which haven't been synced yet (including writes queued while offline)
+	* These are held strongly so they can't be garbage collected before they are written
+	* @type {Map<String, Reactive>}
+	*/
+	let pinned = new Map();
+
+	/**
+	* Determine if a row has no local changes waiting to be written
+	*
+	* @param {Reactive} row The row reactive to examine
+	* @returns {Boolean} Whether the row is synced
+	*/
+	let isSynced = row => row.$meta.status != 'saving'
+		&& !row.$meta.pendingWrites
+		&& isEqual(row.$meta.snapshot, row.$toObject());
+
+	let watch = settings.reactiveWatch ?? settings.adapter.watch;
+
+	/**
+	* Fetch an existing row reactive or create a new one
+	*
+	* @param {String} id The row ID to fetch
+	* @returns {Object} The row entry of the form `{row:Reactive, ready:Promise}`
+	*/
+	let getRow = id => {
+		let entry = rows.get(id);
+		let row = entry?.ref.deref();
+		if (row) return {row, ready: entry.ready};
+
+		debug('Create row', id);
+		row = SupabaseReactive({
+			...options,
+			table: settings.table,
+			dbSchema: settings.dbSchema,
+			id,
+			isArray: false,
+			filter: null,
+			order: null,
+			limit: null,
+			range: null,
+			pageSize: null,
+			attachReactives: true,
+			shared: false, // Rows are already deduplicated by the map
+			write: false, // Don't subscribe each row individually, changes are fanned out from the shared channel instead
+			init: false,
+		});
+
+		let ready = row.$init().then(()=> {}); // Don't hold a reference to the row in the resolved value
+		ready.catch(()=> {}); // Errors are surfaced via onError + $meta.error
+
+		rows.set(id, {ref: new WeakRef(row), ready});
+		registry.register(row, id, row);
+
+		// Pin the row while it has unsynced changes, these watchers are released along with the row
+		watch(row, ()=> {
+			if (rows.get(id)?.ref.deref() === row && !isSynced(row)) pinned.set(id, row);
+		});
+		watch(row.$meta, ()=> {
+			if (pinned.get(id) === row && isSynced(row)) pinned.delete(id);
+		});
+
+		return {row, ready};
+	};
+
+	let channel = settings.supabase.channel(settings.channelName({...settings, id: null}))
+		.on('postgres_changes', {
+			event: '*',
+			schema: settings.dbSchema || 'public',
+			table: settings.table,
+			filter: realtimeFilter(normalizeFilter(settings.filter)),
+		}, data => {
+			let id = (data.new ?? data.old)?.[settings.idColumn];
+			let row = rows.get(String(id))?.ref.deref();
+			if (row) row.$touchRemote(data);
+		})
+		.subscribe((status, err) => {
+			if (status == 'CHANNEL_ERROR') settings.onError(new RemoteError(err?.message || 'Realtime channel error'), 'subscribe');
+		});
+
+	let methods = {
+		/**
+		* Fetch a row reactive, waiting for it to be loaded
+		*
+		* @param {String} id The row ID to fetch
+		* @returns {Promise<Reactive>} A promise which resolves with the loaded row reactive
+		*/
+		async $get(id) {
+			let {row, ready} = getRow(String(id));
+			await ready;
+			return row;
+		},
+
+
+		/**
+		* Release a row reactive immediately rather than waiting for it to be garbage collected
+		* Pending local changes are written first
+		*
+		* @param {String} id The row ID to release
+		* @returns {Promise} A promise which resolves when the operation has completed
+		*/
+		async $release(id) {
+			let row = rows.get(String(id))?.ref.deref();
+			rows.delete(String(id));
+			pinned.delete(String(id));
+			if (!row) return;
+
+			registry.unregister(row);
+			await row.$tick(settings.throttle ? settings.throttle.wait : 0); // Let any throttled change start writing
+			await row.$flush().catch(()=> {}); // Failures are surfaced via onError, writes queued while offline are kept by `queueStorage`
+			await row.$destroy();
+		},
+
+
+		/**
+		* Release all row reactives and the shared realtime channel
+		*
+		* @returns {Promise} A promise which resolves when the operation has completed
+		*/
+		async $destroy() {
+			await Promise.all([
+				...[...rows.keys()].map(id => methods.$release(id)),
+				settings.supabase.removeChannel(channel),
+			]);
+		},
+	};
+
+	return new Proxy(methods, {
+		get(target, key) {
+			if (typeof key == 'symbol' || key in methods) return target[key];
+			if (key == 'then') return; // Not a thenable - don't create a row when awaited
+			return getRow(key).row;
+		},
+		has(target, key) {
+			return key in methods || !!rows.get(key)?.ref.deref();
+		},
+		ownKeys() {
+			return [...rows.keys()].filter(id => rows.get(id).ref.deref());
+		},
+		getOwnPropertyDescriptor(target, key) {
+			let row = rows.get(key)?.ref.deref();
+			return row && {value: row, enumerable: true, configurable: true, writable: false};
+		},
+	});
+};
+
+
+/**
+* Create a reactive whose state is shared between all clients in a room but never stored
+* Changes are sent as Supabase Realtime broadcast messages using the same watcher + `throttle` as table reactives, which suits short lived state such as drag previews or typing indicators
+* Clients only receive changes made after they join the room
+*
+* @param {String} room The name of the room to join, all clients using the same room name share state
+*
+* @param {Object} [options] Additional options to configure behaviour - see `SupabaseReactive()`. Table options (`table`, `id`, `read`, `queueStorage` etc.) are ignored
+*
+* @returns {Promise<Reactive>|Reactive} An eventual reactive Object/Array, see `SupabaseReactive()`
+*
+* @example Share a typing indicator
+* let room = await SupabaseReactive.broadcast('chat/123', {supabase});
+* room[user.id] = {typing: true}; // Shortly afterwards other clients see `room[user.id].typing`
+*/
+SupabaseReactive.broadcast = function SupabaseReactiveBroadcast(room, options) {
+	return SupabaseReactive({
+		...options,
+		broadcast: room,
+	});
+};
+
+
 export let defaults = {
 	// Reactive instance
 	supabase: null,
@@ -604,6 +3106,10 @@ export let defaults = {
 	watch: true,
 	write: true,
 	attachReactives: true,
+	shared: false,
+	broadcast: null,
+	presence: false,
+	init: true,
 	throttle: {
 		wait: 200,
 		maxWait: 2000,
@@ -612,33 +3118,287 @@ export let defaults = {
 	},
 
 	// Table structure
+	dbSchema: null,
 	idColumn: 'id',
 	filter: null,
+	order: null,
+	limit: null,
+	range: null,
+	pageSize: null,
 	dataColumn: 'data',
+	columns: null,
 	timestampColumn: 'edited_at',
 	versionColumn: null,
-
-	// Reactive control
-	reactiveCreate(state) {
-		return VueReactive(state);
+	schema: null,
+	migrations: null,
+	migrationKey: 'docVersion',
+	migrationColumn: null,
+	crdt: null,
+	crdtTable: 'supabase_reactive_updates',
+	crdtCompactAfter: 100,
+	historyTable: null,
+	createMissing: true,
+	writeMode: 'upsert',
+	patchFunction: 'supabase_reactive_patch',
+	conflictStrategy: 'clientWins',
+	queueStorage: true,
+	probeInterval: 5000,
+	generateId() {
+		return globalThis.crypto.randomUUID();
 	},
-	reactiveWatch(target, cb) {
-		return VueWatch(target, cb, {
-			deep: true,
-		});
+	historySize: 100,
+	retries: 3,
+	retryDelay: 100,
+	retryBackoff(attempt, settings) {
+		return new Promise(resolve => setTimeout(resolve, attempt * settings.retryDelay));
 	},
 
+	// Reactive control
+	adapter: ProxyAdapter,
+	reactiveCreate: null,
+	reactiveWatch: null,
+	reactiveNextTick: null,
+
 	// Callbacks
 	onInit(data) {}, // eslint-disable-line
 	onRead(data) {}, // eslint-disable-line
 	onChange(data) {}, // eslint-disable-line
+	onConflict(local, remote) {}, // eslint-disable-line
+	onDelete(data) {}, // eslint-disable-line
+	onError(err, context) {}, // eslint-disable-line
 	onDestroy(data) {}, // eslint-disable-line
 
 	// Utilities
 	debug: null, // Init in settings setup, false to disable
-	splitPath(value, settings) { // Split paths of the form 'TABLE/ID' into their options
-		let pathValues = /^\/?(?<table>[\w_\-]+?)\/(?<id>.+)$/.exec(value)?.groups;
+	splitPath(value, settings) { // Split paths of the form '[SCHEMA.]TABLE/ID' into their options
+		let pathValues = /^\/?(?:(?<dbSchema>[\w_\-]+)\.)?(?<table>[\w_\-]+?)\/(?<id>.+)$/.exec(value)?.groups;
 		if (!pathValues) throw new Error(`Unable to decode path "${value}"`);
-		Object.assign(settings, pathValues);
+		let {dbSchema, ...tableValues} = pathValues;
+		Object.assign(settings, tableValues, dbSchema && {dbSchema});
+	},
+	channelName(settings) { // Compute a unique channel name for each reactive, broadcast + presence reactives intentionally share one name per room / row so peers on other clients join the same channel
+		if (settings.broadcast) return `supabase-reactive/broadcast/${settings.broadcast}`;
+		return `supabase-reactive/${settings.dbSchema || 'public'}.${settings.table}/${settings.id || '*'}`
+			+ (settings.presence ? '' : `/${Math.random().toString(36).slice(2)}`);
+	},
+};
+
+
+/**
+* Built-in conflict resolution strategies, used when a local change collides with a server change
+* Each is called as `(local:Object, remote:Object, base:Object)` and should return the merged state
+* `base` is the last-synced state both sides started from (or null if unknown)
+*
+* @type {Object<Function>}
+*/
+export let conflictStrategies = {
+	/**
+	* Discard local changes in favour of the server state
+	*
+	* @param {Object} local The local state
+	* @param {Object} remote The server state
+	* @returns {Object} The server state
+	*/
+	serverWins(local, remote) {
+		return remote;
+	},
+
+
+	/**
+	* Overwrite the server state with the local state
+	*
+	* @param {Object} local The local state
+	* @returns {Object} The local state
+	*/
+	clientWins(local) {
+		return local;
+	},
+
+
+	/**
+	* Three-way merge of local + remote changes against the base
+	* Keys changed on only one side are taken from that side, keys changed on both sides are recursively merged with local changes winning on non-object values
+	*
+	* @param {*} local The local state
+	* @param {*} remote The server state
+	* @param {*} base The last-synced state
+	* @returns {*} The merged state
+	*/
+	deepMerge(local, remote, base) {
+		if (isEqual(local, base)) return remote; // Only remote has changed
+		if (isEqual(remote, base)) return local; // Only local has changed
+		if (!isPlainObject(local) || !isPlainObject(remote)) return local; // Both changed a non-object value - local wins
+
+		let baseObject = isPlainObject(base) ? base : {};
+		return Object.fromEntries(
+			[...new Set([...Object.keys(remote), ...Object.keys(local)])]
+				.map(key => {
+					let inLocal = key in local, inRemote = key in remote, inBase = key in baseObject;
+					if (!inLocal) { // Local removed (or never had) this key
+						return inBase && isEqual(remote[key], baseObject[key])
+							? null // Local removed + remote unchanged - remove
+							: [key, remote[key]]; // Remote added or changed - keep
+					} else if (!inRemote) { // Remote removed (or never had) this key
+						return inBase && isEqual(local[key], baseObject[key])
+							? null
+							: [key, local[key]];
+					} else {
+						return [key, conflictStrategies.deepMerge(local[key], remote[key], baseObject[key])];
+					}
+				})
+				.filter(Boolean)
+		);
+	},
+};
+
+
+/**
+* Built-in column serializers for use with the `columns` option
+* Each has a `serialize(value)` function converting a local value into its column value and a `deserialize(value)` function doing the reverse
+*
+* @type {Object<ColumnSerializer>}
+*/
+export let serializers = {
+	/**
+	* Date / Timestamp columns, held locally as Date objects
+	* @type {ColumnSerializer}
+	*/
+	date: {
+		serialize: v => v instanceof Date ? v.toISOString() : v ?? null,
+		deserialize: v => v === null || v === undefined ? null : new Date(v),
+	},
+
+
+	/**
+	* Numeric / Decimal columns, held locally as Numbers
+	* Values are written as strings but read back via `Number()`, so digits beyond the precision of a double (about 15 significant digits) are lost. Use a custom serializer to keep such values as strings
+	* @type {ColumnSerializer}
+	*/
+	numeric: {
+		serialize: v => v === null || v === undefined ? null : String(v),
+		deserialize: v => v === null || v === undefined ? null : Number(v),
+	},
+
+
+	/**
+	* Enum columns, rejecting any value not within the given list
+	*
+	* @param {Array<String>} values The valid enum values
+	* @returns {ColumnSerializer} A serializer for the enum
+	*/
+	enum(values) {
+		return {
+			serialize: v => {
+				if (v !== null && v !== undefined && !values.includes(v)) throw new ValidationError(`Invalid enum value "${v}", expected one of ${values.join(', ')}`);
+				return v ?? null;
+			},
+			deserialize: v => v,
+		};
 	},
 };
+
+
+export * from './errors.js';
+
+
+/**
+* Mapping of a single top-level key to its table column when using the `columns` option
+*
+* @typedef {Object} ColumnSpec
+* @property {String} [column] The table column name, defaults to the key
+* @property {String|ColumnSerializer} [serializer] Serializer to use, either the name of a built-in within `serializers` or a custom serializer
+*/
+
+
+/**
+* @typedef {Object} ColumnSerializer
+* @property {Function} serialize Function which converts a local value into its column value. Called as `(value:*)`
+* @property {Function} deserialize Function which converts a column value into its local value. Called as `(value:*)`
+*/
+
+
+/**
+* Bridge between SupabaseReactive and a reactivity system (Vue, React, Svelte, Solid etc.)
+* See the adapters within `lib/adapters/` for examples
+*
+* @typedef {Object} ReactivityAdapter
+* @property {Function} create Function which wraps an initial Object / Array in an observable. Called as `(state:Object|Array)`
+* @property {Function} watch Function which deeply watches an observable, returning a function to release the watcher. Called as `(target:Object|Array, cb:Function)`
+* @property {Function} nextTick Async function which resolves once pending updates have been dispatched to watchers
+*/
+
+
+/**
+* Bridge between SupabaseReactive and a CRDT library (Yjs, Automerge etc.) used by the `crdt` option
+* See the adapters within `lib/crdt/` for examples
+*
+* @typedef {Object} CrdtAdapter
+* @property {Function} create Function which returns a new empty document
+* @property {Function} applyUpdate Function which merges a binary update into a document. Called as `(doc:*, update:Uint8Array)`
+* @property {Function} encodeState Function which encodes the entire state of a document as a single binary update. Called as `(doc:*)`
+* @property {Function} toJSON Function which returns the plain JSON state of a document. Called as `(doc:*)`
+* @property {Function} change Function which applies a plain JSON state to a document, returning the binary update describing the change or null if nothing changed. Called as `(doc:*, data:Object)`
+*/
+
+
+/**
+* Storage adapter used to persist queued writes
+* See the adapters within `lib/storage/` for examples
+*
+* @typedef {Object} QueueStorage
+* @property {Function} getItem Async function which returns the stored value or null. Called as `(key:String)`
+* @property {Function} setItem Async function which stores a value. Called as `(key:String, value:Array<QueueItem>)`
+* @property {Function} removeItem Async function which removes a stored value. Called as `(key:String)`
+*/
+
+
+/**
+* Throw a typed error if a Supabase response indicates that the operation failed
+*
+* @param {Object} response The Supabase response to examine
+*
+* @param {Object} [options] Additional options to mutate behaviour
+* @param {Boolean} [options.allowMissing=false] Treat `.single()` queries which matched no rows as successful with `{data: null}`
+*
+* @returns {Object} The response if the operation succeeded
+* @throws {SupabaseReactiveError} A NetworkError, NotFoundError, PermissionDeniedError or RemoteError depending on the failure
+*/
+function checkResponse(response, options) {
+	let {error, status} = response;
+	if (!error) return response;
+
+	if (!status) throw new NetworkError(error.message, response);
+
+	if (error.code == 'PGRST116') { // `.single()` matched no rows
+		if (options?.allowMissing) return {...response, data: null, error: null};
+		throw new NotFoundError('Row not found', response);
+	}
+
+	if (error.code == '42501' || status == 401 || status == 403) throw new PermissionDeniedError(error.message, response);
+
+	throw new RemoteError(error.message, response);
+}
+
+
+/**
+* Encode binary data as base64 so it can be stored within a text column
+*
+* @param {Uint8Array} bytes The binary data to encode
+* @returns {String} The base64 encoded data
+*/
+function encodeBase64(bytes) {
+	let binary = '';
+	bytes.forEach(byte => binary += String.fromCharCode(byte));
+	return btoa(binary);
+}
+
+
+/**
+* Decode base64 data stored within a text column
+*
+* @param {String} value The base64 encoded data
+* @returns {Uint8Array} The binary data
+*/
+function decodeBase64(value) {
+	return Uint8Array.from(atob(value), char => char.charCodeAt(0));
+}
@@ -0,0 +1,151 @@
+import {isEqual, isPlainObject} from 'lodash-es';
+
+/**
+* Validate data against a schema
+*
+* @param {Object|Function} schema The schema to validate against. Either a JSON Schema object, a Zod-style object with a `safeParse()` method or a validator function
+* @param {*} data The data to validate
+*
+* @returns {Array<String>} Validation messages, an empty array if the data is valid
+*/
+export default function validate(schema, data) {
+	if (typeof schema == 'function') {
+		try {
+			let result = schema(data);
+			return result === true || result === undefined || result === null ? []
+				: result === false ? ['Failed validation']
+				: [].concat(result);
+		} catch (e) {
+			return [e.message];
+		}
+	} else if (typeof schema?.safeParse == 'function') {
+		let result = schema.safeParse(data);
+		return result.success ? []
+			: result.error.issues.map(issue => `${pointer(issue.path)}: ${issue.message}`);
+	} else {
+		return validateJsonSchema(schema, data);
+	}
+}
+
+
+/**
+* Validate data against a JSON Schema
+* This supports the commonly used subset of keywords from Draft 7 onwards - `type`, `enum`, `const`, numeric / string / array / object constraints and the `allOf`, `anyOf`, `oneOf` + `not` combinators
+* `$ref` and `format` are not supported
+*
+* @param {Object|Boolean} schema The JSON Schema to validate against
+* @param {*} value The value to validate
+* @param {Array<String>} [path=[]] The path segments of the value, used to prefix messages
+*
+* @returns {Array<String>} Validation messages, an empty array if the value is valid
+*/
+export function validateJsonSchema(schema, value, path = []) {
+	let at = pointer(path);
+	if (schema === true || schema === undefined) return [];
+	if (schema === false) return [`${at}: is not allowed`];
+
+	if (schema.type) {
+		let types = [].concat(schema.type);
+		if (!types.some(type => isType(type, value))) return [`${at}: must be ${types.join(' or ')}`];
+	}
+
+	let errors = [];
+	if (schema.enum && !schema.enum.some(option => isEqual(option, value)))
+		errors.push(`${at}: must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+	if ('const' in schema && !isEqual(schema.const, value))
+		errors.push(`${at}: must be ${JSON.stringify(schema.const)}`);
+
+	if (typeof value == 'number') {
+		if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${at}: must be >= ${schema.minimum}`);
+		if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${at}: must be <= ${schema.maximum}`);
+		if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) errors.push(`${at}: must be > ${schema.exclusiveMinimum}`);
+		if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) errors.push(`${at}: must be < ${schema.exclusiveMaximum}`);
+		if (schema.multipleOf !== undefined && value % schema.multipleOf != 0) errors.push(`${at}: must be a multiple of ${schema.multipleOf}`);
+	}
+
+	if (typeof value == 'string') {
+		if (schema.minLength !== undefined && value.length < schema.minLength) errors.push(`${at}: must be at least ${schema.minLength} characters`);
+		if (schema.maxLength !== undefined && value.length > schema.maxLength) errors.push(`${at}: must be at most ${schema.maxLength} characters`);
+		if (schema.pattern !== undefined && !new RegExp(schema.pattern, 'u').test(value)) errors.push(`${at}: must match ${schema.pattern}`);
+	}
+
+	if (Array.isArray(value)) {
+		if (schema.minItems !== undefined && value.length < schema.minItems) errors.push(`${at}: must have at least ${schema.minItems} items`);
+		if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push(`${at}: must have at most ${schema.maxItems} items`);
+		if (schema.uniqueItems && value.some((item, index) => value.findIndex(other => isEqual(item, other)) != index)) errors.push(`${at}: must have unique items`);
+
+		if (Array.isArray(schema.prefixItems ?? schema.items)) { // Tuple validation
+			let tuple = schema.prefixItems ?? schema.items;
+			value.forEach((item, index) => errors.push(...validateJsonSchema(
+				index < tuple.length ? tuple[index] : (schema.prefixItems ? schema.items : schema.additionalItems),
+				item,
+				[...path, index],
+			)));
+		} else if (schema.items !== undefined) {
+			value.forEach((item, index) => errors.push(...validateJsonSchema(schema.items, item, [...path, index])));
+		}
+	}
+
+	if (isPlainObject(value)) {
+		let keys = Object.keys(value);
+		if (schema.minProperties !== undefined && keys.length < schema.minProperties) errors.push(`${at}: must have at least ${schema.minProperties} properties`);
+		if (schema.maxProperties !== undefined && keys.length > schema.maxProperties) errors.push(`${at}: must have at most ${schema.maxProperties} properties`);
+
+		(schema.required || [])
+			.filter(key => !(key in value))
+			.forEach(key => errors.push(`${pointer([...path, key])}: is required`));
+
+		keys.forEach(key => {
+			if (schema.properties && key in schema.properties) {
+				errors.push(...validateJsonSchema(schema.properties[key], value[key], [...path, key]));
+			} else if (schema.additionalProperties !== undefined) {
+				errors.push(...validateJsonSchema(schema.additionalProperties, value[key], [...path, key]));
+			}
+		});
+	}
+
+	if (schema.allOf)
+		schema.allOf.forEach(subSchema => errors.push(...validateJsonSchema(subSchema, value, path)));
+	if (schema.anyOf && !schema.anyOf.some(subSchema => !validateJsonSchema(subSchema, value, path).length))
+		errors.push(`${at}: must match at least one allowed schema`);
+	if (schema.oneOf && schema.oneOf.filter(subSchema => !validateJsonSchema(subSchema, value, path).length).length != 1)
+		errors.push(`${at}: must match exactly one allowed schema`);
+	if (schema.not && !validateJsonSchema(schema.not, value, path).length)
+		errors.push(`${at}: must not match the disallowed schema`);
+
+	return errors;
+}
+
+
+/**
+* Determine if a value matches a JSON Schema type
+*
+* @param {String} type The JSON Schema type name
+* @param {*} value The value to examine
+* @returns {Boolean} Whether the value matches the type
+*/
+function isType(type, value) {
+	switch (type) {
+		case 'null': return value === null;
+		case 'boolean': return typeof value == 'boolean';
+		case 'string': return typeof value == 'string';
+		case 'number': return typeof value == 'number' && Number.isFinite(value);
+		case 'integer': return Number.isInteger(value);
+		case 'array': return Array.isArray(value);
+		case 'object': return isPlainObject(value);
+		default: throw new Error(`Unknown JSON Schema type "${type}"`);
+	}
+}
+
+
+/**
+* Convert path segments into a JSON-Pointer
+*
+* @param {Array<String|Number>} path The path segments
+* @returns {String} The equivalent JSON-Pointer, '/' for the root
+*/
+function pointer(path) {
+	return '/' + path
+		.map(segment => String(segment).replace(/~/g, '~0').replace(/\//g, '~1'))
+		.join('/');
+}
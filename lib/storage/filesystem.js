@@ -0,0 +1,46 @@
+import {mkdir, readFile, rm, writeFile} from 'node:fs/promises';
+import {join} from 'node:path';
+
+/**
+* Node filesystem write queue storage
+* Pending writes are stored as one JSON file per key and survive process restarts
+*
+* @param {Object} [options] Additional options to configure behaviour
+* @param {String} [options.path='./.supabase-reactive'] The directory to store files within, created if it does not already exist
+*
+* @returns {QueueStorage} A storage adapter suitable for the `queueStorage` option
+*/
+export default function FilesystemStorage(options) {
+	let settings = {
+		path: './.supabase-reactive',
+		...options,
+	};
+
+	/**
+	* Compute the file path for a key
+	*
+	* @param {String} key The key to compute the path of
+	* @returns {String} The file path to use
+	*/
+	let keyPath = key => join(settings.path, encodeURIComponent(key) + '.json');
+
+	return {
+		async getItem(key) {
+			try {
+				return JSON.parse(await readFile(keyPath(key), 'utf8'));
+			} catch (e) {
+				if (e.code == 'ENOENT') return null;
+				throw e;
+			}
+		},
+
+		async setItem(key, value) {
+			await mkdir(settings.path, {recursive: true});
+			await writeFile(keyPath(key), JSON.stringify(value));
+		},
+
+		async removeItem(key) {
+			await rm(keyPath(key), {force: true});
+		},
+	};
+}
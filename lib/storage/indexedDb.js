@@ -0,0 +1,66 @@
+/**
+* Browser IndexedDB write queue storage
+* Pending writes survive page reloads and are not subject to the size limits of localStorage
+*
+* @param {Object} [options] Additional options to configure behaviour
+* @param {IDBFactory} [options.indexedDB=globalThis.indexedDB] The IndexedDB factory to use
+* @param {String} [options.database='supabase-reactive'] The database name to store data within
+* @param {String} [options.store='queue'] The object store name to store data within
+*
+* @returns {QueueStorage} A storage adapter suitable for the `queueStorage` option
+*/
+export default function IndexedDbStorage(options) {
+	let settings = {
+		indexedDB: globalThis.indexedDB,
+		database: 'supabase-reactive',
+		store: 'queue',
+		...options,
+	};
+	if (!settings.indexedDB) throw new Error('No IndexedDB available');
+
+	/**
+	* Eventual database handle, opened on first use
+	* @type {Promise<IDBDatabase>}
+	*/
+	let db;
+
+	/**
+	* Run a single request against the object store
+	*
+	* @param {String} mode The transaction mode, either 'readonly' or 'readwrite'
+	* @param {Function} handler Function called as `(store:IDBObjectStore)` which should return an IDBRequest
+	* @returns {Promise<*>} A promise which resolves with the request result
+	*/
+	let request = async (mode, handler) => {
+		if (!db) db = new Promise((resolve, reject) => {
+			let open = settings.indexedDB.open(settings.database, 1);
+			open.onupgradeneeded = ()=> open.result.createObjectStore(settings.store);
+			open.onsuccess = ()=> resolve(open.result);
+			open.onerror = ()=> reject(open.error);
+		});
+
+		let store = (await db)
+			.transaction(settings.store, mode)
+			.objectStore(settings.store);
+
+		return new Promise((resolve, reject) => {
+			let req = handler(store);
+			req.onsuccess = ()=> resolve(req.result);
+			req.onerror = ()=> reject(req.error);
+		});
+	};
+
+	return {
+		async getItem(key) {
+			return (await request('readonly', store => store.get(key))) ?? null;
+		},
+
+		async setItem(key, value) {
+			await request('readwrite', store => store.put(value, key));
+		},
+
+		async removeItem(key) {
+			await request('readwrite', store => store.delete(key));
+		},
+	};
+}
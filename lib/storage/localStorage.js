@@ -0,0 +1,33 @@
+/**
+* Browser localStorage write queue storage
+* Pending writes survive page reloads
+*
+* @param {Object} [options] Additional options to configure behaviour
+* @param {Storage} [options.storage=globalThis.localStorage] The Storage instance to use (e.g. `sessionStorage`)
+* @param {String} [options.prefix=''] Optional prefix to prepend to all keys
+*
+* @returns {QueueStorage} A storage adapter suitable for the `queueStorage` option
+*/
+export default function LocalStorage(options) {
+	let settings = {
+		storage: globalThis.localStorage,
+		prefix: '',
+		...options,
+	};
+	if (!settings.storage) throw new Error('No localStorage available');
+
+	return {
+		async getItem(key) {
+			let value = settings.storage.getItem(settings.prefix + key);
+			return value ? JSON.parse(value) : null;
+		},
+
+		async setItem(key, value) {
+			settings.storage.setItem(settings.prefix + key, JSON.stringify(value));
+		},
+
+		async removeItem(key) {
+			settings.storage.removeItem(settings.prefix + key);
+		},
+	};
+}
@@ -0,0 +1,23 @@
+/**
+* In-memory write queue storage
+* Pending writes are held for the lifetime of the process only
+*
+* @returns {QueueStorage} A storage adapter suitable for the `queueStorage` option
+*/
+export default function MemoryStorage() {
+	let store = new Map();
+
+	return {
+		async getItem(key) {
+			return store.get(key) ?? null;
+		},
+
+		async setItem(key, value) {
+			store.set(key, value);
+		},
+
+		async removeItem(key) {
+			store.delete(key);
+		},
+	};
+}
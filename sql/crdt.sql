@@ -0,0 +1,38 @@
+-- Append-only table of CRDT updates
+-- This is used by SupabaseReactive when `{crdt}` is enabled, each document is made up of all the updates stored against its schema, table + ID
+-- One table records the documents of every schema, SupabaseReactive expects it within `public` unless `crdtTable` is given as `schema.table`
+--
+-- Install this table within your Supabase project via the SQL editor or a migration
+-- Clients need to be able to select + insert rows (and delete rows if `crdtCompactAfter` is enabled) so add RLS policies to suit
+--
+-- Example:
+--     select data from supabase_reactive_updates
+--     where doc_schema = 'public' and doc_table = 'test' and doc_id = 'aaaaaaaa-aaaa-aaaa-aaaa-aaaaaaaaaaaa'
+--     order by id;
+
+-- supabase_reactive_updates - One row per binary CRDT update {{{
+create table if not exists public.supabase_reactive_updates (
+	id bigint generated always as identity primary key,
+	created_at timestamp with time zone not null default now(),
+	doc_schema text not null default 'public', -- The schema of the document table
+	doc_table text not null, -- The table of the document
+	doc_id text not null, -- The ID of the document within its table
+	data text not null -- The base64 encoded CRDT update
+);
+
+create index if not exists supabase_reactive_updates_doc on public.supabase_reactive_updates (doc_id, doc_table, doc_schema, id);
+
+alter table public.supabase_reactive_updates enable row level security;
+-- }}}
+
+
+-- Upgrading - Tables created before `doc_schema` was added {{{
+alter table public.supabase_reactive_updates add column if not exists doc_schema text not null default 'public';
+drop index if exists public.supabase_reactive_updates_doc;
+create index if not exists supabase_reactive_updates_doc on public.supabase_reactive_updates (doc_id, doc_table, doc_schema, id);
+-- }}}
+
+
+-- Realtime - Broadcast inserted updates to other clients {{{
+alter publication supabase_realtime add table public.supabase_reactive_updates;
+-- }}}
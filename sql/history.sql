@@ -0,0 +1,33 @@
+-- Append-only audit log of document writes
+-- This is used by SupabaseReactive when `{historyTable: 'supabase_reactive_history'}` is set, each successful write appends the diff, author + full document
+-- One table records the documents of every schema, SupabaseReactive expects it within `public` unless `historyTable` is given as `schema.table`
+--
+-- Install this table within your Supabase project via the SQL editor or a migration
+-- Clients need to be able to select + insert rows so add RLS policies to suit, rows should never need updating or deleting
+--
+-- Example:
+--     select version, author, created_at, patch from supabase_reactive_history
+--     where doc_schema = 'public' and doc_table = 'test' and doc_id = 'aaaaaaaa-aaaa-aaaa-aaaa-aaaaaaaaaaaa'
+--     order by created_at desc;
+
+-- supabase_reactive_history - One row per document write {{{
+create table if not exists public.supabase_reactive_history (
+	id bigint generated always as identity primary key,
+	created_at timestamp with time zone not null default now(), -- When the write was made, as stamped by the client
+	doc_schema text not null default 'public', -- The schema of the document table
+	doc_table text not null, -- The table of the document
+	doc_id text not null, -- The ID of the document within its table
+	version bigint, -- The version written if `versionColumn` is enabled
+	author uuid references auth.users (id) on delete set null, -- The user who made the write, if signed in
+	patch jsonb not null, -- The JSON-Patch from the previous state of the document
+	data jsonb not null -- The full document as written
+);
+
+create index if not exists supabase_reactive_history_doc on public.supabase_reactive_history (doc_id, doc_table, doc_schema, created_at);
+
+alter table public.supabase_reactive_history enable row level security;
+
+-- Example policy - signed in users can read all history + only record writes as themselves
+-- create policy "Read history" on public.supabase_reactive_history for select to authenticated using (true);
+-- create policy "Record history" on public.supabase_reactive_history for insert to authenticated with check (author = auth.uid());
+-- }}}
@@ -0,0 +1,150 @@
+-- Apply an RFC 6902 JSON-Patch against the JSONB column of a single row
+-- This is used by SupabaseReactive when `{writeMode: 'patch'}` is enabled
+--
+-- Install this function within your Supabase project via the SQL editor or a migration
+-- The function runs as `security invoker` so all existing RLS policies still apply
+--
+-- Example:
+--     select supabase_reactive_patch(
+--         'public', 'test', 'id', 'aaaaaaaa-aaaa-aaaa-aaaa-aaaaaaaaaaaa',
+--         'data', '[{"op": "replace", "path": "/foo", "value": "Foo!"}]'::jsonb,
+--         'edited_at', now(),
+--         'version', 2,
+--         true, 1
+--     );
+
+-- supabase_reactive_pointer(pointer) - Convert a JSON-Pointer into a Postgres text[] path {{{
+create or replace function supabase_reactive_pointer(pointer text)
+returns text[]
+language sql
+immutable
+as $$
+	select coalesce(
+		array(
+			select replace(replace(segment, '~1', '/'), '~0', '~')
+			from unnest(string_to_array(substring(pointer from 2), '/')) with ordinality as segments(segment, idx)
+			order by idx
+		),
+		'{}'::text[]
+	);
+$$;
+-- }}}
+
+
+-- supabase_reactive_apply_patch(doc, patch) - Apply a JSON-Patch to a JSONB document and return the result {{{
+create or replace function supabase_reactive_apply_patch(doc jsonb, patch jsonb)
+returns jsonb
+language plpgsql
+immutable
+as $$
+declare
+	operation jsonb;
+	path text[];
+	parent_path text[];
+	from_path text[];
+	value jsonb;
+begin
+	doc := coalesce(doc, '{}'::jsonb);
+
+	for operation in select * from jsonb_array_elements(patch) loop
+		path := supabase_reactive_pointer(operation->>'path');
+		parent_path := path[1:cardinality(path) - 1];
+		value := operation->'value';
+
+		-- Resolve `from` based operations into simple add operations
+		if operation->>'op' in ('copy', 'move') then
+			from_path := supabase_reactive_pointer(operation->>'from');
+			value := doc #> from_path;
+			if operation->>'op' = 'move' then
+				doc := doc #- from_path;
+			end if;
+		end if;
+
+		if cardinality(path) = 0 then -- Operating on the document root
+			case operation->>'op'
+				when 'remove' then doc := '{}'::jsonb;
+				when 'test' then
+					if doc is distinct from value then
+						raise exception 'JSON-Patch test failed at "%"', operation->>'path';
+					end if;
+				else doc := value;
+			end case;
+			continue;
+		end if;
+
+		case operation->>'op'
+			when 'add', 'copy', 'move' then
+				if jsonb_typeof(doc #> parent_path) = 'array' then
+					if path[cardinality(path)] = '-' then -- Append to array
+						doc := jsonb_insert(doc, parent_path || '-1'::text, value, true);
+					else
+						doc := jsonb_insert(doc, path, value);
+					end if;
+				else
+					doc := jsonb_set(doc, path, value, true);
+				end if;
+			when 'replace' then
+				doc := jsonb_set(doc, path, value, false);
+			when 'remove' then
+				doc := doc #- path;
+			when 'test' then
+				if doc #> path is distinct from value then
+					raise exception 'JSON-Patch test failed at "%"', operation->>'path';
+				end if;
+			else
+				raise exception 'Unsupported JSON-Patch operation "%"', operation->>'op';
+		end case;
+	end loop;
+
+	return doc;
+end;
+$$;
+-- }}}
+
+
+-- supabase_reactive_patch(...) - Apply a JSON-Patch to a table row, optionally stamping its timestamp + version columns {{{
+-- If `check_version` is true the row is only updated if its version column still matches `expected_version`
+create or replace function supabase_reactive_patch(
+	schema_name text,
+	table_name text,
+	id_column text,
+	id text,
+	data_column text,
+	patch jsonb,
+	timestamp_column text default null,
+	timestamp_value timestamptz default null,
+	version_column text default null,
+	version_value bigint default null,
+	check_version boolean default false,
+	expected_version bigint default null
+)
+returns int
+language plpgsql
+security invoker
+as $$
+declare
+	sets text := format('%I = supabase_reactive_apply_patch(%I, $1)', data_column, data_column);
+	conditions text := format('%I::text = $4', id_column);
+	affected int;
+begin
+	if timestamp_column is not null then
+		sets := sets || format(', %I = $2', timestamp_column);
+	end if;
+
+	if version_column is not null then
+		sets := sets || format(', %I = $3', version_column);
+	end if;
+
+	if check_version and version_column is not null then -- Compare-and-swap against the version the client last saw
+		conditions := conditions || format(' and %I is not distinct from $5', version_column);
+	end if;
+
+	execute format('update %I.%I set %s where %s', schema_name, table_name, sets, conditions)
+	using patch, timestamp_value, version_value, id, expected_version;
+
+	-- Return the number of rows affected, zero indicates either a missing row or a version conflict
+	get diagnostics affected = row_count;
+	return affected;
+end;
+$$;
+-- }}}
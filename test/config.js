@@ -1,7 +1,17 @@
-import configPrivate from './config.private.js';
 import {createClient as Supabase} from '@supabase/supabase-js'
+import FakeSupabase, {createDatabase} from '#lib/fake';
+import {mapValues} from 'lodash-es';
 import mlog from 'mocha-logger';
 
+/**
+* Private config (Supabase URL + key) if present, otherwise tests run against the in-memory FakeSupabase client
+* @type {Object}
+*/
+let configPrivate = await import('./config.private.js')
+	.then(module => module.default)
+	.catch(()=> ({}));
+
+
 /**
 * Base config for tests
 * @type {Object}
@@ -40,6 +50,18 @@ let config = {
 			mlog.log(`[SUPABASE/${this.table}/${this.id}]`, ...msg.map(m => JSON.stringify(m)));
 		},
 	}},
+
+	// In-memory FakeSupabase database holding `{[id]: data}` rows of `config.table`, other tables can be given as `{'schema.table': {[id]: data}}`
+	fakeDatabase(rows, tables) { return createDatabase({
+		tables: mapValues({...(rows && {[config.table]: rows}), ...tables}, tableRows =>
+			Object.entries(tableRows).map(([id, data]) => ({
+				[config.idColumn]: id,
+				[config.versionColumn]: 0,
+				[config.timestampColumn]: new Date().toISOString(),
+				[config.dataColumn]: data,
+			}))
+		),
+	})},
 }
 
 
@@ -49,7 +71,15 @@ let config = {
 * @returns {Promise} A promise which resolves when the operation has completed
 */
 export async function setup() {
-	config.supabase = Supabase(config.supabaseUrl, config.supabaseKey, config.supabaseOptions);
+	config.supabase = /^https?:\/\//.test(config.supabaseUrl)
+		? Supabase(config.supabaseUrl, config.supabaseKey, config.supabaseOptions)
+		: FakeSupabase({
+			database: createDatabase({
+				defaults: {
+					created_at: ()=> new Date().toISOString(),
+				},
+			}),
+		});
 
 	if (config.supabaseUser) {
 		let {error} = await config.supabase.auth.signInWithPassword({
@@ -134,6 +164,7 @@ export async function teardown() {
 
 export default {
 	...config,
+	get supabase() { return config.supabase }, // Created during setup()
 
 	// Test utility functions
 	setup, reset, teardown,
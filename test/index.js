@@ -1,8 +1,27 @@
 import config from './config.js';
 import {expect} from 'chai';
 import mlog from 'mocha-logger';
-import {random, sampleSize} from 'lodash-es';
-import Reactive, {defaults as ReactiveDefaults} from '#lib/reactive';
+import {random, sampleSize, sortBy} from 'lodash-es';
+import FakeSupabase from '#lib/fake';
+import FilesystemStorage from '#lib/storage/filesystem';
+import MemoryStorage from '#lib/storage/memory';
+import {createSupabaseWorker} from '#lib/adapters/node';
+import {useSupabaseReactive} from '#lib/adapters/react';
+import {createSupabaseReactive} from '#lib/adapters/solid';
+import {supabaseStore} from '#lib/adapters/svelte';
+import * as ProxyAdapter from '#lib/adapters/proxy';
+import * as VueAdapter from '#lib/adapters/vue';
+import * as YjsCrdt from '#lib/crdt/yjs';
+import Reactive, {defaults as ReactiveDefaults, NotFoundError, ValidationError} from '#lib/reactive';
+import {createClient as Supabase} from '@supabase/supabase-js'
+import {createElement} from 'react';
+import TestRenderer, {act} from 'react-test-renderer';
+import {createRoot} from 'solid-js';
+import {mkdtemp, readdir, rm} from 'node:fs/promises';
+import {join} from 'node:path';
+import {tmpdir} from 'node:os';
+import v8 from 'node:v8';
+import vm from 'node:vm';
 import {setTimeout as tick} from 'node:timers/promises';
 
 // Utility: buildRandomBranch() {{{
@@ -367,4 +386,1483 @@ describe('@MomsFriendlyDevCo/Supabase-Reactive', ()=> {
 		await state.$destroy();
 	});
 
+
+	it('isArray collection row inserts, updates + deletes', async function() {
+		this.timeout(30 * 1000);
+		await config.reset(); // Discard keys written to existing rows by earlier tests
+
+		let state = await Reactive({
+			...config.baseReactive(),
+			isArray: true,
+		});
+		expect(state).to.be.an('array');
+		expect(state.find(row => row.id == 'bbbbbbbb-bbbb-bbbb-bbbb-bbbbbbbbbbbb')).to.deep.equal({
+			id: 'bbbbbbbb-bbbb-bbbb-bbbb-bbbbbbbbbbbb',
+			existingKey: 'bbb',
+		});
+
+		// Edit an existing item
+		state.find(row => row.id == 'eeeeeeee-eeee-eeee-eeee-eeeeeeeeeeee').foo = 'Foo!';
+
+		// Push a new item (which should get allocated an ID)
+		state.push({bar: 'Bar!'});
+
+		await tick();
+		await state.$flush();
+
+		let newItem = state.find(row => row.bar == 'Bar!');
+		expect(newItem).to.have.property('id');
+		expect(sortBy(await state.$fetch(), 'id')).to.deep.equal(sortBy(state.$toObject(), 'id'));
+
+		// Remove the new item
+		state.splice(state.indexOf(newItem), 1);
+
+		await tick();
+		await state.$flush();
+
+		let serverSnapshot = await state.$fetch();
+		expect(serverSnapshot.find(row => row.id == newItem.id)).to.be.undefined;
+		expect(serverSnapshot.find(row => row.id == 'eeeeeeee-eeee-eeee-eeee-eeeeeeeeeeee')).to.deep.equal({
+			id: 'eeeeeeee-eeee-eeee-eeee-eeeeeeeeeeee',
+			foo: 'Foo!',
+		});
+
+		await state.$destroy();
+	});
+
+	it('react to remote inserts + deletes', async function() {
+		this.timeout(30 * 1000);
+
+		let deleted = 0;
+		let single = await Reactive(`${config.table}/22222222-2222-2222-2222-222222222222`, {
+			...config.baseReactive(),
+			onDelete: ()=> deleted++,
+		});
+		let collection = await Reactive({
+			...config.baseReactive(),
+			isArray: true,
+		});
+
+		// Insert a new row from elsewhere
+		let {data: newRow} = await config.supabase
+			.from(config.table)
+			.insert({
+				[config.dataColumn]: {inserted: true},
+				[config.timestampColumn]: new Date(),
+				[config.versionColumn]: 0,
+			})
+			.select(config.idColumn)
+			.single();
+
+		await tick(1000);
+		expect(collection.find(item => item.id == newRow[config.idColumn])).to.deep.equal({
+			id: newRow[config.idColumn],
+			inserted: true,
+		});
+
+		// Delete the row bound to the single reactive from elsewhere
+		await config.supabase
+			.from(config.table)
+			.delete()
+			.eq(config.idColumn, '22222222-2222-2222-2222-222222222222');
+
+		await tick(1000);
+		expect(deleted).to.equal(1);
+		expect(single.$meta.isDeleted).to.be.true;
+		expect(collection.find(item => item.id == '22222222-2222-2222-2222-222222222222')).to.be.undefined;
+
+		await Promise.all([
+			single.$destroy(),
+			collection.$destroy(),
+		]);
+	});
+
+	it('subscribe + unsubscribe from realtime channels', async ()=> {
+		let state = await Reactive(`${config.table}/aaaaaaaa-aaaa-aaaa-aaaa-aaaaaaaaaaaa`, {
+			...config.baseReactive(),
+		});
+		expect(state.$subscribe.isSubscribed).to.be.true;
+		expect(state.$meta.channel).to.be.ok;
+		expect(config.supabase.getChannels().map(c => c.topic)).to.include(state.$meta.channel.topic);
+
+		let topic = state.$meta.channel.topic;
+		await state.$subscribe(false);
+		expect(state.$subscribe.isSubscribed).to.be.false;
+		expect(state.$meta.channel).to.be.null;
+		expect(config.supabase.getChannels().map(c => c.topic)).to.not.include(topic);
+
+		await state.$subscribe();
+		expect(state.$meta.channel.topic).to.not.equal(topic);
+
+		// Real channels are circular so must be skipped when serializing $meta (e.g. by debug hooks)
+		state.$meta.channel.self = state.$meta.channel;
+		expect(Object.keys(state.$meta)).to.not.include('channel');
+		expect(()=> JSON.stringify(state.$meta)).to.not.throw();
+
+		await state.$destroy();
+		expect(state.$meta.channel).to.be.null;
+	});
+
+	it('JSON-patch writes + remote patching', async function() {
+		this.timeout(30 * 1000);
+
+		let a = await Reactive(`${config.table}/bbbbbbbb-bbbb-bbbb-bbbb-bbbbbbbbbbbb`, {
+			...config.baseReactive(),
+			writeMode: 'patch',
+		});
+		let b = await Reactive(`${config.table}/bbbbbbbb-bbbb-bbbb-bbbb-bbbbbbbbbbbb`, {
+			...config.baseReactive(),
+			writeMode: 'patch',
+		});
+
+		// Write full state
+		a.nested = {foo: 'Foo!', bar: [1, 2, 3]};
+		await tick();
+		await a.$flush();
+		expect(await a.$fetch()).to.deep.equal({existingKey: 'bbb', nested: {foo: 'Foo!', bar: [1, 2, 3]}});
+
+		// Write a single nested key
+		a.nested.bar.push(4);
+		await tick();
+		await a.$flush();
+		expect(await a.$fetch()).to.deep.equal({existingKey: 'bbb', nested: {foo: 'Foo!', bar: [1, 2, 3, 4]}});
+
+		// Remote changes should patch in-place
+		await tick(1000);
+		let bNested = b.nested;
+		expect(b).to.deep.equal({existingKey: 'bbb', nested: {foo: 'Foo!', bar: [1, 2, 3, 4]}});
+
+		delete a.existingKey;
+		await tick();
+		await a.$flush();
+		await tick(1000);
+		expect(b).to.deep.equal({nested: {foo: 'Foo!', bar: [1, 2, 3, 4]}});
+		expect(b.nested).to.equal(bNested);
+
+		await Promise.all([
+			a.$destroy(),
+			b.$destroy(),
+		]);
+	});
+
+	it('resolve conflicting writes via conflictStrategy', async function() {
+		this.timeout(30 * 1000);
+
+		let a = await Reactive(`${config.table}/ffffffff-ffff-ffff-ffff-ffffffffffff`, {
+			...config.baseReactive(),
+			conflictStrategy: 'deepMerge',
+		});
+		let b = await Reactive(`${config.table}/ffffffff-ffff-ffff-ffff-ffffffffffff`, {
+			...config.baseReactive(),
+			conflictStrategy: 'deepMerge',
+			write: false, // Don't subscribe to remote changes so B falls behind A
+		});
+
+		// Write from A
+		a.foo = 'Foo!';
+		await tick();
+		await a.$flush();
+
+		// Write from B (which is still at the old version)
+		b.bar = 'Bar!';
+		await tick();
+		await b.$flush();
+
+		expect(b).to.deep.equal({foo: 'Foo!', bar: 'Bar!'});
+		expect(await b.$fetch()).to.deep.equal({foo: 'Foo!', bar: 'Bar!'});
+		expect(b.$meta.version).to.equal(2);
+
+		await Promise.all([
+			a.$destroy(),
+			b.$destroy(),
+		]);
+	});
+
+	it('compare-and-swap writes fire onConflict + retry', async function() {
+		this.timeout(30 * 1000);
+
+		let conflicts = [];
+		let a = await Reactive(`${config.table}/eeeeeeee-eeee-eeee-eeee-eeeeeeeeeeee`, {
+			...config.baseReactive(),
+		});
+		let b = await Reactive(`${config.table}/eeeeeeee-eeee-eeee-eeee-eeeeeeeeeeee`, {
+			...config.baseReactive(),
+			conflictStrategy: 'serverWins',
+			write: false, // Don't subscribe to remote changes so B falls behind A
+			retryDelay: 10,
+			onConflict: (local, remote) => conflicts.push({local, remote}),
+		});
+
+		a.winner = 'A';
+		await tick();
+		await a.$flush();
+
+		b.winner = 'B';
+		await tick();
+		await b.$flush();
+
+		expect(conflicts).to.have.length(1);
+		expect(conflicts[0]).to.have.nested.property('local.winner', 'B');
+		expect(conflicts[0]).to.have.nested.property('remote.winner', 'A');
+		expect(b).to.have.property('winner', 'A');
+		expect(await b.$fetch()).to.have.property('winner', 'A');
+
+		await Promise.all([
+			a.$destroy(),
+			b.$destroy(),
+		]);
+	});
+
+	it('resolve conflicting row writes of isArray collections via conflictStrategy', async function() {
+		this.timeout(10 * 1000);
+
+		let database = config.fakeDatabase({fake1: {title: 'Orig'}});
+		let conflicts = [];
+		let state = await Reactive({
+			...config.baseReactive(),
+			supabase: FakeSupabase({database}),
+			isArray: true,
+			conflictStrategy: 'deepMerge',
+			onConflict: (local, remote) => conflicts.push({local, remote}),
+		});
+
+		// Change the server row without a realtime event so the local write is stale
+		let [row] = database.table('public', config.table);
+		Object.assign(row, {[config.versionColumn]: 1, [config.dataColumn]: {title: 'Remote'}});
+
+		state[0].body = 'Local';
+		await tick();
+		await state.$flush();
+		expect(conflicts).to.deep.equal([{local: {title: 'Orig', body: 'Local'}, remote: {title: 'Remote'}}]);
+		expect(row).to.deep.include({[config.versionColumn]: 2, [config.dataColumn]: {title: 'Remote', body: 'Local'}});
+		expect(state).to.deep.equal([{id: 'fake1', title: 'Remote', body: 'Local'}]);
+		expect(state.$meta.rows.fake1).to.deep.include({version: 2});
+
+		await state.$destroy();
+	});
+
+	it('queue writes while offline + replay on reconnect', async function() {
+		this.timeout(30 * 1000);
+
+		let storagePath = await mkdtemp(join(tmpdir(), 'supabase-reactive-'));
+		let queueStorage = FilesystemStorage({path: storagePath});
+
+		// Write against an unreachable server
+		let offline = await Reactive(`${config.table}/dddddddd-dddd-dddd-dddd-dddddddddddd`, {
+			...config.baseReactive(),
+			supabase: Supabase('http://127.0.0.1:1', 'unreachable'),
+			read: false,
+			write: false,
+			queueStorage,
+		});
+
+		offline.offlineKey = 'Offline!';
+		await tick();
+		await offline.$flush();
+
+		expect(offline.$meta.online).to.be.false;
+		expect(offline.$meta.pendingWrites).to.equal(1);
+		expect(await readdir(storagePath)).to.have.length(1);
+		await offline.$destroy();
+
+		// Open again against the real server - queued writes should be replayed
+		let online = await Reactive(`${config.table}/dddddddd-dddd-dddd-dddd-dddddddddddd`, {
+			...config.baseReactive(),
+			queueStorage,
+		});
+
+		expect(online.$meta.online).to.be.true;
+		expect(online.$meta.pendingWrites).to.equal(0);
+		expect(online).to.have.property('offlineKey', 'Offline!');
+		expect(await online.$fetch()).to.have.property('offlineKey', 'Offline!');
+		expect(await readdir(storagePath)).to.have.length(0);
+
+		await online.$destroy();
+		await rm(storagePath, {recursive: true, force: true});
+	});
+
+	it('keep the queues of each reactive separate', async function() {
+		this.timeout(10 * 1000);
+
+		let database = config.fakeDatabase({fake1: {title: 'Fake', status: 'open'}});
+		let queueStorage = MemoryStorage();
+		let offlineClient = FakeSupabase({database});
+		let create = options => Reactive({...config.baseReactive(), supabase: offlineClient, queueStorage, probeInterval: 60 * 1000, ...options});
+
+		let a = await create({id: 'fake1'});
+		let b = await create({id: 'fake1'});
+		let open = await create({isArray: true, filter: {[`${config.dataColumn}->>status`]: 'open'}});
+		let closed = await create({isArray: true, filter: {[`${config.dataColumn}->>status`]: 'closed'}});
+
+		offlineClient.setOnline(false);
+		a.a = 'A';
+		b.b = 'B';
+		open[0].extra = 'Open';
+		closed.push({title: 'Closed', status: 'closed'});
+		await tick();
+		await Promise.all([a, b, open, closed].map(state => state.$flush()));
+		for (let state of [a, b, open, closed]) {
+			expect(state.$meta.pendingWrites).to.equal(1);
+		}
+
+		let rowKey = `supabase-reactive/${config.table}/fake1`;
+		expect(await queueStorage.getItem(rowKey)).to.have.nested.property('[0].payload.a', 'A');
+		expect(await queueStorage.getItem(`${rowKey}#2`)).to.have.nested.property('[0].payload.b', 'B');
+
+		// Reactives created later restore the queue of their equivalent, not one which is still live
+		await b.$destroy();
+		let restored = await create({id: 'fake1', read: false});
+		expect(restored.$meta.pendingWrites).to.equal(1);
+		expect(restored.$meta.writeQueue[0].payload).to.have.property('b', 'B');
+
+		// The default in-memory storage is private to each reactive
+		let c = await Reactive(`${config.table}/fake1`, {...config.baseReactive(), supabase: offlineClient, read: false, probeInterval: 60 * 1000});
+		c.c = 'C';
+		await tick();
+		await c.$flush();
+		expect(c.$meta.pendingWrites).to.equal(1);
+		let d = await Reactive(`${config.table}/fake1`, {...config.baseReactive(), supabase: FakeSupabase({database})});
+		expect(d.$meta.pendingWrites).to.equal(0);
+
+		offlineClient.setOnline(true);
+		await Promise.all([a, open, closed, restored, c, d].map(state => state.$destroy()));
+	});
+
+	it('resolve conflicts with writes made while offline', async function() {
+		this.timeout(10 * 1000);
+
+		let database = config.fakeDatabase({fake1: {title: 'Fake'}});
+		let server = FakeSupabase({database});
+		let aliceClient = FakeSupabase({database});
+		let errors = [];
+		let alice = await Reactive(`${config.table}/fake1`, {
+			...config.baseReactive(),
+			supabase: aliceClient,
+			probeInterval: 50,
+			onError: (err, context) => context != 'subscribe' && errors.push({name: err.name, context}), // Channels error while offline
+		});
+		let bob = await Reactive(`${config.table}/fake1`, {...config.baseReactive(), supabase: FakeSupabase({database}), write: false});
+
+		// Server moves on while alice is offline
+		aliceClient.setOnline(false);
+		alice.alice = 'Alice';
+		await tick();
+		await alice.$flush();
+		expect(alice.$meta.pendingWrites).to.equal(1);
+		await server.from(config.table).update({[config.dataColumn]: {title: 'Bob'}, [config.versionColumn]: 1}).eq(config.idColumn, 'fake1');
+
+		aliceClient.setOnline(true);
+		await tick(500);
+		expect(alice.$meta.pendingWrites).to.equal(0);
+		expect(errors).to.deep.equal([]);
+		expect(await bob.$fetch()).to.deep.equal({title: 'Fake', alice: 'Alice'}); // clientWins
+		await alice.$destroy();
+
+		// Failed resolutions are surfaced rather than escaping the replay
+		let carolClient = FakeSupabase({database});
+		let carol = await Reactive(`${config.table}/fake1`, {
+			...config.baseReactive(),
+			supabase: carolClient,
+			probeInterval: 50,
+			onConflict() { throw new Error('Conflict refused') },
+			onError: (err, context) => context != 'subscribe' && errors.push({name: err.name, context}), // Channels error while offline
+		});
+		carolClient.setOnline(false);
+		carol.carol = 'Carol';
+		await tick();
+		await carol.$flush();
+		await server.from(config.table).update({[config.dataColumn]: {title: 'Bob'}, [config.versionColumn]: 5}).eq(config.idColumn, 'fake1');
+
+		carolClient.setOnline(true);
+		await tick(500);
+		expect(errors).to.deep.equal([{name: 'Error', context: 'replay'}]);
+		expect(carol.$meta.status).to.equal('error');
+		expect(carol.$meta.pendingWrites).to.equal(0);
+
+		await Promise.all([
+			carol.$destroy(),
+			bob.$destroy(),
+		]);
+	});
+
+	[
+		{name: 'proxy', adapter: ProxyAdapter},
+		{name: 'vue', adapter: VueAdapter},
+	].forEach(({name, adapter}) =>
+		it(`reactivity via the ${name} adapter`, async ()=> {
+			let state = await Reactive(`${config.table}/11111111-1111-1111-1111-111111111111`, {
+				...config.baseReactive(),
+				adapter,
+			});
+
+			let changes = 0;
+			let unwatch = adapter.watch(state, ()=> changes++);
+
+			state.adapter = name;
+			state.nested = {list: [1, 2]};
+			state.nested.list.push(3);
+			await adapter.nextTick();
+			expect(changes).to.be.at.least(1);
+
+			await state.$flush();
+			expect(await state.$fetch()).to.deep.include({adapter: name, nested: {list: [1, 2, 3]}});
+
+			unwatch();
+			await state.$destroy();
+		})
+	);
+
+	describe('framework adapters', ()=> {
+		let database, client;
+		beforeEach(()=> {
+			database = config.fakeDatabase({fake1: {title: 'Fake'}});
+			client = FakeSupabase({database});
+		});
+
+		it('react hook re-renders on change + destroys on unmount', async function() {
+			this.timeout(10 * 1000);
+
+			globalThis.IS_REACT_ACT_ENVIRONMENT = true;
+			let state;
+			let Widget = ()=> {
+				state = useSupabaseReactive({...config.baseReactive(), supabase: client, id: 'fake1'});
+				return state ? state.title : 'Loading';
+			};
+
+			let renderer;
+			await act(async ()=> {
+				renderer = TestRenderer.create(createElement(Widget));
+			});
+			expect(renderer.toJSON()).to.equal('Loading');
+			await act(()=> tick(1500)); // Initial reads hold the write lock for a second
+			expect(renderer.toJSON()).to.equal('Fake');
+			expect(client.getChannels()).to.have.length(1);
+
+			await act(async ()=> {
+				state.title = 'Changed';
+				await tick();
+			});
+			expect(renderer.toJSON()).to.equal('Changed');
+
+			await act(async ()=> renderer.unmount());
+			await tick(100);
+			expect(client.getChannels()).to.have.length(0);
+		});
+
+		it('svelte store publishes changes + destroys when unsubscribed', async function() {
+			this.timeout(10 * 1000);
+
+			let store = supabaseStore(`${config.table}/fake1`, {...config.baseReactive(), supabase: client});
+			let values = [];
+			let unsubscribe = store.subscribe(value => values.push(value?.title ?? null));
+			expect(values).to.deep.equal([null]);
+			await tick(1500);
+			expect(values.at(-1)).to.equal('Fake');
+
+			let state = await new Promise(resolve => store.subscribe(resolve)()); // Peek at the current value
+			state.title = 'Changed';
+			await tick();
+			expect(values.at(-1)).to.equal('Changed');
+
+			unsubscribe();
+			await tick(100);
+			expect(client.getChannels()).to.have.length(0);
+		});
+
+		it('solid signal tracks the state + destroys with its owner', async function() {
+			this.timeout(10 * 1000);
+
+			let dispose;
+			let state = createRoot(disposer => {
+				dispose = disposer;
+				return createSupabaseReactive({...config.baseReactive(), supabase: client, id: 'fake1'});
+			});
+			expect(state()).to.equal(null);
+			await tick(1500);
+			expect(state()).to.have.property('title', 'Fake');
+			expect(client.getChannels()).to.have.length(1);
+
+			dispose();
+			await tick(100);
+			expect(client.getChannels()).to.have.length(0);
+		});
+
+		it('reject reactivity adapters other than the Proxy observer the bindings watch', async function() {
+			this.timeout(10 * 1000);
+
+			let options = {...config.baseReactive(), supabase: client, id: 'fake1'};
+			expect(()=> supabaseStore({...options, adapter: VueAdapter})).to.throw(/`adapter`/);
+			expect(()=> supabaseStore(`${config.table}/fake1`, {...options, reactiveCreate: VueAdapter.create, reactiveWatch: ProxyAdapter.watch})).to.throw(/`reactiveCreate` option/);
+			expect(()=> createRoot(()=> createSupabaseReactive({...options, adapter: VueAdapter}))).to.throw(/`adapter`/);
+			expect(await createSupabaseWorker({...options, adapter: VueAdapter}).then(()=> null, e => e)).to.be.an.instanceOf(Error);
+
+			globalThis.IS_REACT_ACT_ENVIRONMENT = true;
+			let Widget = ()=> useSupabaseReactive({...options, adapter: VueAdapter});
+			let {error} = console;
+			console.error = ()=> {}; // Silence React reporting the render error
+			let err = await Promise.resolve()
+				.then(()=> act(async ()=> {
+					TestRenderer.create(createElement(Widget));
+				}))
+				.then(()=> null, e => e)
+				.finally(()=> console.error = error);
+			expect(err).to.have.property('message').that.matches(/`adapter`/);
+
+			// The Proxy adapter itself is accepted
+			let store = supabaseStore({...options, adapter: ProxyAdapter});
+			let values = [];
+			let unsubscribe = store.subscribe(value => values.push(value?.title ?? null));
+			await tick(1500);
+			expect(values.at(-1)).to.equal('Fake');
+			unsubscribe();
+			await tick(100);
+			expect(client.getChannels()).to.have.length(0);
+		});
+	});
+
+	it('map top-level keys to table columns', async ()=> {
+		let state = await Reactive(`${config.table}/cccccccc-cccc-cccc-cccc-cccccccccccc`, {
+			...config.baseReactive(),
+			columns: {
+				doc: {column: config.dataColumn},
+				createdAt: {column: 'created_at', serializer: 'date'},
+			},
+		});
+
+		expect(state.doc).to.deep.equal({existingArray: [1, 2, {three: 3}]});
+		expect(state.createdAt).to.be.instanceOf(Date);
+
+		state.doc.columnKey = 'Column!';
+		await tick();
+		await state.$flush();
+
+		let {data} = await config.supabase
+			.from(config.table)
+			.select(config.dataColumn)
+			.eq(config.idColumn, 'cccccccc-cccc-cccc-cccc-cccccccccccc')
+			.single();
+		expect(data[config.dataColumn]).to.have.property('columnKey', 'Column!');
+
+		await state.$destroy();
+	});
+
+	it('undo + redo local changes', async ()=> {
+		let state = await Reactive(`${config.table}/11111111-1111-1111-1111-111111111111`, {
+			...config.baseReactive(),
+		});
+		expect(state.$canUndo()).to.be.false;
+
+		state.step = 1;
+		await tick();
+		state.step = 2;
+		state.extra = true;
+		await tick();
+		await state.$flush();
+
+		expect(state.$history().undo).to.have.length(2);
+
+		expect(state.$undo()).to.be.true;
+		expect(state).to.have.property('step', 1);
+		expect(state).to.not.have.property('extra');
+		expect(state.$canRedo()).to.be.true;
+		await tick();
+		await state.$flush();
+		expect(await state.$fetch()).to.have.property('step', 1);
+
+		expect(state.$redo()).to.be.true;
+		expect(state).to.include({step: 2, extra: true});
+		await tick();
+		await state.$flush();
+		expect(await state.$fetch()).to.include({step: 2, extra: true});
+
+		// New changes discard redo history
+		state.$undo();
+		state.step = 3;
+		await tick();
+		expect(state.$canRedo()).to.be.false;
+
+		await state.$flush();
+		await state.$destroy();
+	});
+
+	it('lazy row maps sharing one channel', async function() {
+		this.timeout(10 * 1000);
+		await config.reset(); // Discard keys written to existing rows by earlier tests
+
+		let map = Reactive.map(config.table, config.baseReactive());
+		let channelCount = config.supabase.getChannels().length;
+
+		let rowB = await map.$get('bbbbbbbb-bbbb-bbbb-bbbb-bbbbbbbbbbbb');
+		let rowE = await map.$get('eeeeeeee-eeee-eeee-eeee-eeeeeeeeeeee');
+		expect(rowB).to.have.property('existingKey', 'bbb');
+		expect(map['bbbbbbbb-bbbb-bbbb-bbbb-bbbbbbbbbbbb']).to.equal(rowB);
+		expect(Object.keys(map)).to.have.length(2);
+		expect(config.supabase.getChannels()).to.have.length(channelCount); // No extra channels per row
+
+		// Remote changes are fanned out by ID
+		let remote = await Reactive(`${config.table}/eeeeeeee-eeee-eeee-eeee-eeeeeeeeeeee`, config.baseReactive());
+		remote.mapKey = 'Mapped!';
+		await tick();
+		await remote.$flush();
+		await tick(1000);
+		expect(rowE).to.have.property('mapKey', 'Mapped!');
+
+		await map.$release('bbbbbbbb-bbbb-bbbb-bbbb-bbbbbbbbbbbb');
+		expect(Object.keys(map)).to.deep.equal(['eeeeeeee-eeee-eeee-eeee-eeeeeeeeeeee']);
+
+		await Promise.all([
+			remote.$destroy(),
+			map.$destroy(),
+		]);
+	});
+
+	it('keep changes made to map rows while they load', async function() {
+		this.timeout(10 * 1000);
+
+		let database = config.fakeDatabase({fake1: {title: 'Orig', body: 'Body'}});
+		let map = Reactive.map(config.table, {...config.baseReactive(), supabase: FakeSupabase({database, latency: 50})});
+
+		map.fake1.title = 'Updated'; // Row is still loading
+		let row = await map.$get('fake1');
+		expect(row).to.deep.equal({title: 'Updated', body: 'Body'});
+
+		await row.$flush();
+		expect(database.table('public', config.table)[0][config.dataColumn]).to.deep.equal({title: 'Updated', body: 'Body'});
+		expect(row.$meta.version).to.equal(1);
+
+		// Releasing a row writes its throttled changes first
+		let throttled = Reactive.map(config.table, {...config.baseReactive(), supabase: FakeSupabase({database}), throttle: {wait: 200}});
+		(await throttled.$get('fake1')).title = 'Released';
+		await throttled.$release('fake1');
+		expect(database.table('public', config.table)[0][config.dataColumn]).to.deep.equal({title: 'Released', body: 'Body'});
+
+		await Promise.all([map.$destroy(), throttled.$destroy()]);
+	});
+
+	it('hold map rows with unsynced changes until written', async function() {
+		this.timeout(10 * 1000);
+		v8.setFlagsFromString('--expose-gc');
+		let gc = vm.runInNewContext('gc');
+
+		let database = config.fakeDatabase({fake1: {title: 'Changed'}, fake2: {title: 'Unused'}});
+		let supabase = FakeSupabase({database});
+		let map = Reactive.map(config.table, {...config.baseReactive(), supabase, probeInterval: 100});
+
+		await (async ()=> { // Don't keep references to either row in this scope
+			await map.$get('fake2');
+			let row = await map.$get('fake1');
+			supabase.setOnline(false);
+			row.title = 'Offline';
+			await tick(100);
+			expect(row.$meta.pendingWrites).to.equal(1);
+		})();
+
+		for (let attempt = 0; attempt < 5; attempt++) {
+			await tick(50);
+			gc();
+		}
+		expect(Object.keys(map)).to.deep.equal(['fake1']);
+
+		supabase.setOnline(true);
+		await tick(500);
+		expect(database.table('public', config.table)[0][config.dataColumn]).to.deep.equal({title: 'Offline'});
+
+		await map.$destroy();
+	});
+
+	it('share reactives between consumers', async ()=> {
+		let channelCount = config.supabase.getChannels().length;
+		let [a, b] = await Promise.all([
+			Reactive(`${config.table}/bbbbbbbb-bbbb-bbbb-bbbb-bbbbbbbbbbbb`, {...config.baseReactive(), shared: true}),
+			Reactive(`${config.table}/bbbbbbbb-bbbb-bbbb-bbbb-bbbbbbbbbbbb`, {...config.baseReactive(), shared: true}),
+		]);
+
+		expect(a).to.equal(b);
+		expect(config.supabase.getChannels()).to.have.length(channelCount + 1);
+
+		await a.$destroy();
+		expect(b.$meta.channel).to.be.ok; // Still subscribed for the remaining consumer
+
+		await b.$destroy();
+		expect(b.$meta.channel).to.be.null;
+	});
+
+	it('validate data against a schema', async ()=> {
+		let errors = [];
+		let state = await Reactive(`${config.table}/aaaaaaaa-aaaa-aaaa-aaaa-aaaaaaaaaaaa`, {
+			...config.baseReactive(),
+			schema: {
+				type: 'object',
+				properties: {
+					count: {type: 'integer', minimum: 0},
+				},
+			},
+			onError: (err, context) => errors.push({err, context}),
+		});
+
+		state.count = 1;
+		await tick();
+		await state.$flush();
+		expect(await state.$fetch()).to.have.property('count', 1);
+
+		state.count = -1;
+		await tick();
+		let err = await state.$flush().then(()=> null, e => e);
+		expect(err).to.be.instanceOf(ValidationError);
+		expect(err.errors).to.deep.equal(['/count: must be >= 0']);
+		expect(errors).to.have.length(1);
+		expect(errors[0]).to.have.property('context', 'write');
+		expect(state.$meta.error).to.equal(err);
+		expect(await state.$fetch()).to.have.property('count', 1);
+
+		await state.$destroy();
+	});
+
+	it('migrate documents stored in an older shape', async ()=> {
+		let id = '33333333-3333-3333-3333-333333333333';
+		await config.supabase
+			.from(config.table)
+			.upsert({
+				[config.idColumn]: id,
+				[config.versionColumn]: 0,
+				[config.dataColumn]: {name: 'Joe Bloggs'},
+			});
+
+		let state = await Reactive(`${config.table}/${id}`, {
+			...config.baseReactive(),
+			migrations: [
+				doc => ({first: doc.name.split(' ')[0], last: doc.name.split(' ')[1]}),
+				doc => ({...doc, title: null}),
+			],
+		});
+
+		expect(state).to.deep.equal({docVersion: 2, first: 'Joe', last: 'Bloggs', title: null});
+
+		await state.$flush();
+		expect(await state.$fetch()).to.deep.equal({docVersion: 2, first: 'Joe', last: 'Bloggs', title: null});
+
+		await state.$destroy();
+	});
+
+	it('structured filters, order + limit for isArray collections', async function() {
+		this.timeout(10 * 1000);
+		await config.reset();
+
+		let setRow = (id, status, version) => config.supabase
+			.from(config.table)
+			.update({
+				[config.dataColumn]: {status},
+				[config.versionColumn]: version,
+				[config.timestampColumn]: new Date(),
+			})
+			.eq(config.idColumn, id);
+
+		await setRow('aaaaaaaa-aaaa-aaaa-aaaa-aaaaaaaaaaaa', 'open', 1);
+		await setRow('bbbbbbbb-bbbb-bbbb-bbbb-bbbbbbbbbbbb', 'open', 3);
+		await setRow('cccccccc-cccc-cccc-cccc-cccccccccccc', 'closed', 2);
+		await setRow('dddddddd-dddd-dddd-dddd-dddddddddddd', 'open', 2);
+
+		let state = await Reactive({
+			...config.baseReactive(),
+			isArray: true,
+			filter: {
+				[`${config.dataColumn}->>status`]: 'open',
+				[config.versionColumn]: {gte: 1},
+			},
+			order: `${config.versionColumn}.desc`,
+			limit: 3,
+		});
+		expect(state.map(item => item.id)).to.deep.equal([
+			'bbbbbbbb-bbbb-bbbb-bbbb-bbbbbbbbbbbb',
+			'dddddddd-dddd-dddd-dddd-dddddddddddd',
+			'aaaaaaaa-aaaa-aaaa-aaaa-aaaaaaaaaaaa',
+		]);
+
+		// Rows entering the filter are positioned by order, pushing others out of the limit
+		await setRow('cccccccc-cccc-cccc-cccc-cccccccccccc', 'open', 4);
+		await tick(500);
+		expect(state.map(item => item.id)).to.deep.equal([
+			'cccccccc-cccc-cccc-cccc-cccccccccccc',
+			'bbbbbbbb-bbbb-bbbb-bbbb-bbbbbbbbbbbb',
+			'dddddddd-dddd-dddd-dddd-dddddddddddd',
+		]);
+
+		// Rows leaving the filter are removed locally without being deleted remotely
+		await setRow('bbbbbbbb-bbbb-bbbb-bbbb-bbbbbbbbbbbb', 'closed', 5);
+		await tick(1500); // Adopting the previous change holds the update lock for `updateDelay`
+		expect(state.map(item => item.id)).to.deep.equal([
+			'cccccccc-cccc-cccc-cccc-cccccccccccc',
+			'dddddddd-dddd-dddd-dddd-dddddddddddd',
+		]);
+		await state.$flush();
+		expect(await state.$fetch()).to.have.length(3);
+
+		await state.$destroy();
+
+		// Legacy tuples are passed as-is to PostgREST so accept any operator
+		let legacy = await Reactive({
+			...config.baseReactive(),
+			isArray: true,
+			filter: [[`${config.dataColumn}->>status`, 'not.eq', 'closed']],
+			order: config.idColumn,
+		});
+		expect(legacy.map(item => item.id)).to.deep.equal([
+			'aaaaaaaa-aaaa-aaaa-aaaa-aaaaaaaaaaaa',
+			'cccccccc-cccc-cccc-cccc-cccccccccccc',
+			'dddddddd-dddd-dddd-dddd-dddddddddddd',
+		]);
+
+		await setRow('cccccccc-cccc-cccc-cccc-cccccccccccc', 'closed', 6);
+		await tick(500);
+		expect(legacy.map(item => item.id)).to.deep.equal([
+			'aaaaaaaa-aaaa-aaaa-aaaa-aaaaaaaaaaaa',
+			'dddddddd-dddd-dddd-dddd-dddddddddddd',
+		]);
+
+		await legacy.$destroy();
+	});
+
+	it('paginate isArray collections', async function() {
+		this.timeout(10 * 1000);
+		await config.reset();
+
+		let state = await Reactive({
+			...config.baseReactive(),
+			isArray: true,
+			order: config.idColumn,
+			pageSize: 3,
+		});
+		expect(state.map(item => item.id)).to.deep.equal([
+			'11111111-1111-1111-1111-111111111111',
+			'22222222-2222-2222-2222-222222222222',
+			'aaaaaaaa-aaaa-aaaa-aaaa-aaaaaaaaaaaa',
+		]);
+		expect(state.$meta).to.deep.include({total: 8, hasMore: true, range: [0, 2]});
+
+		await state.$loadMore();
+		expect(state).to.have.length(6);
+		expect(state[5]).to.have.property('id', 'dddddddd-dddd-dddd-dddd-dddddddddddd');
+		expect(state.$meta).to.deep.include({total: 8, hasMore: true, range: [0, 5]});
+
+		await state.$page(2);
+		expect(state.map(item => item.id)).to.deep.equal([
+			'eeeeeeee-eeee-eeee-eeee-eeeeeeeeeeee',
+			'ffffffff-ffff-ffff-ffff-ffffffffffff',
+		]);
+		expect(state.$meta).to.deep.include({total: 8, hasMore: false, range: [6, 8]});
+
+		await state.$page(0);
+
+		// Remote inserts within the loaded page push the last row out
+		await config.supabase
+			.from(config.table)
+			.insert({[config.idColumn]: '33333333-3333-3333-3333-333333333333', [config.versionColumn]: 0});
+		await tick(500);
+		expect(state.map(item => item.id)).to.deep.equal([
+			'11111111-1111-1111-1111-111111111111',
+			'22222222-2222-2222-2222-222222222222',
+			'33333333-3333-3333-3333-333333333333',
+		]);
+		expect(state.$meta).to.have.property('total', 9);
+
+		// Remote inserts after the loaded page only bump the total
+		await config.supabase
+			.from(config.table)
+			.insert({[config.idColumn]: 'fafafafa-fafa-fafa-fafa-fafafafafafa', [config.versionColumn]: 0});
+		await tick(500);
+		expect(state).to.have.length(3);
+		expect(state.$meta).to.have.property('total', 10);
+
+		// Remote deletes within the loaded page drop the total
+		await config.supabase
+			.from(config.table)
+			.delete()
+			.eq(config.idColumn, '11111111-1111-1111-1111-111111111111');
+		await tick(500);
+		expect(state).to.have.length(2);
+		expect(state.$meta).to.deep.include({total: 9, hasMore: true});
+
+		await state.$destroy();
+	});
+
+	it('sync between in-memory fake clients', async function() {
+		this.timeout(10 * 1000);
+
+		let database = config.fakeDatabase({fake1: {title: 'Fake'}});
+		let bobClient = FakeSupabase({database});
+		let alice = await Reactive(`${config.table}/fake1`, {...config.baseReactive(), supabase: FakeSupabase({database})});
+		let bob = await Reactive(`${config.table}/fake1`, {...config.baseReactive(), supabase: bobClient});
+		expect(bob).to.deep.equal({title: 'Fake'});
+
+		alice.title = 'Renamed';
+		await tick();
+		await alice.$flush();
+		await tick(100);
+		expect(bob).to.have.property('title', 'Renamed');
+
+		// Offline clients fail with network errors
+		bobClient.setOnline(false);
+		let err = await bob.$fetch().then(()=> null, e => e);
+		expect(err).to.have.property('name', 'NetworkError');
+		bobClient.setOnline(true);
+
+		await Promise.all([
+			alice.$destroy(),
+			bob.$destroy(),
+		]);
+	});
+
+	it('share presence between collaborators', async function() {
+		this.timeout(10 * 1000);
+
+		let database = config.fakeDatabase({fake1: {title: 'Fake'}});
+		let bobClient = FakeSupabase({database});
+		let alice = await Reactive(`${config.table}/fake1`, {...config.baseReactive(), supabase: FakeSupabase({database}), presence: {key: 'alice'}});
+		let bob = await Reactive(`${config.table}/fake1`, {...config.baseReactive(), supabase: bobClient, presence: {key: 'bob'}});
+
+		await alice.$presence.track({user: 'Alice', cursor: null});
+		await bob.$presence.track({user: 'Bob', cursor: 'body'});
+		await tick(100);
+		expect(alice.$presence.peers).to.deep.equal([{key: 'bob', user: 'Bob', cursor: 'body'}]);
+		expect(bob.$presence.peers).to.deep.equal([{key: 'alice', user: 'Alice', cursor: null}]);
+
+		await alice.$presence.track({...alice.$presence.state, cursor: 'title'});
+		await tick(100);
+		expect(bob.$presence.peers).to.deep.equal([{key: 'alice', user: 'Alice', cursor: 'title'}]);
+
+		// Peers expire when their connection drops
+		bobClient.setOnline(false);
+		await tick(100);
+		expect(alice.$presence.peers).to.deep.equal([]);
+		bobClient.setOnline(true);
+		await tick(100);
+		expect(alice.$presence.peers).to.have.length(1);
+
+		await bob.$destroy();
+		await tick(100);
+		expect(alice.$presence.peers).to.deep.equal([]);
+
+		await alice.$presence.untrack();
+		expect(alice.$presence.state).to.equal(null);
+		await alice.$destroy();
+
+		// Presence must be enabled
+		let plain = await Reactive(`${config.table}/fake1`, {...config.baseReactive(), supabase: FakeSupabase({database})});
+		let err = await plain.$presence.track({user: 'Carol'}).then(()=> null, e => e);
+		expect(err).to.be.an.instanceOf(Error);
+		await plain.$destroy();
+	});
+
+	it('keep presence channels unique within each client', async function() {
+		this.timeout(10 * 1000);
+
+		let database = config.fakeDatabase({fake1: {title: 'Public'}}, {[`private.${config.table}`]: {fake1: {title: 'Private'}}});
+		let supabase = FakeSupabase({database});
+		let publicDoc = await Reactive(`${config.table}/fake1`, {...config.baseReactive(), supabase, presence: {key: 'alice'}});
+		let privateDoc = await Reactive(`${config.table}/fake1`, {...config.baseReactive(), supabase, dbSchema: 'private', presence: {key: 'alice'}});
+		expect(publicDoc.$meta.channel.topic).to.not.equal(privateDoc.$meta.channel.topic);
+
+		// A second reactive on the same topic would be torn down along with the first
+		let err = await Reactive(`${config.table}/fake1`, {...config.baseReactive(), supabase, presence: {key: 'alice'}}).then(()=> null, e => e);
+		expect(err).to.be.an.instanceOf(Error);
+		expect(err.message).to.match(/already used/);
+
+		let bobClient = FakeSupabase({database});
+		let first = await Reactive(`${config.table}/fake1`, {...config.baseReactive(), supabase: bobClient, presence: {key: 'bob'}, shared: true});
+		let second = await Reactive(`${config.table}/fake1`, {...config.baseReactive(), supabase: bobClient, presence: {key: 'bob'}, shared: true});
+		expect(second).to.equal(first);
+
+		await Promise.all([publicDoc, privateDoc, first, second].map(doc => doc.$destroy()));
+	});
+
+	it('share ephemeral state via broadcast rooms', async function() {
+		this.timeout(10 * 1000);
+
+		let database = config.fakeDatabase();
+		let bobClient = FakeSupabase({database});
+		let alice = await Reactive.broadcast('room1', {...config.baseReactive(), supabase: FakeSupabase({database})});
+		let bob = await Reactive.broadcast('room1', {...config.baseReactive(), supabase: bobClient});
+		let eve = await Reactive.broadcast('room2', {...config.baseReactive(), supabase: FakeSupabase({database})});
+
+		alice.alice = {typing: true};
+		await tick();
+		await alice.$flush();
+		await tick(100);
+		expect(bob).to.deep.equal({alice: {typing: true}});
+		expect(eve).to.deep.equal({});
+
+		bob.bob = {typing: false};
+		await tick();
+		await bob.$flush();
+		await tick(100);
+		expect(alice).to.deep.equal({alice: {typing: true}, bob: {typing: false}});
+
+		// Nothing is stored
+		expect([...database.tables.keys()]).to.deep.equal([]);
+
+		// Offline changes fail rather than queue
+		bobClient.setOnline(false);
+		bob.bob.typing = true;
+		await tick();
+		let err = await bob.$flush().then(()=> null, e => e);
+		expect(err).to.have.property('name', 'RemoteError');
+		bobClient.setOnline(true);
+
+		// Each client can only join a room once
+		err = await Reactive.broadcast('room1', {...config.baseReactive(), supabase: bobClient}).then(()=> null, e => e);
+		expect(err).to.be.an.instanceOf(Error);
+		expect(err.message).to.match(/already used/);
+
+		await Promise.all([
+			alice.$destroy(),
+			bob.$destroy(),
+			eve.$destroy(),
+		]);
+	});
+
+	it('merge concurrent edits of CRDT documents', async function() {
+		this.timeout(10 * 1000);
+
+		let database = config.fakeDatabase();
+		let bobClient = FakeSupabase({database});
+		let alice = await Reactive(`${config.table}/crdt1`, {...config.baseReactive(), supabase: FakeSupabase({database}), crdt: YjsCrdt});
+		let bob = await Reactive(`${config.table}/crdt1`, {...config.baseReactive(), supabase: bobClient, crdt: YjsCrdt, probeInterval: 50});
+		expect(alice).to.deep.equal({});
+
+		alice.title = 'Hello';
+		alice.tags = ['one'];
+		await tick();
+		await alice.$flush();
+		await tick(1100); // Wait for the write lock of the adopted remote change to release
+		expect(bob).to.deep.equal({title: 'Hello', tags: ['one']});
+
+		// Concurrent edits to the same string + array are both kept
+		alice.title += ' world';
+		alice.tags.push('alice');
+		bob.title = `Oh, ${bob.title}`;
+		bob.tags.push('bob');
+		await tick();
+		await Promise.all([alice.$flush(), bob.$flush()]);
+		await tick(1100);
+		expect(alice).to.deep.equal(bob.$toObject());
+		expect(alice.title).to.equal('Oh, Hello world');
+		expect(alice.tags).to.have.members(['one', 'alice', 'bob']);
+
+		// Updates made while offline are replayed + merged
+		bobClient.setOnline(false);
+		bob.offline = true;
+		await tick();
+		await bob.$flush();
+		expect(bob.$meta.pendingWrites).to.equal(1);
+		alice.online = true;
+		await tick();
+		await alice.$flush();
+
+		bobClient.setOnline(true);
+		await tick(1100);
+		expect(bob.$meta.pendingWrites).to.equal(0);
+		expect(alice).to.deep.include({online: true, offline: true});
+		expect(alice).to.deep.equal(bob.$toObject());
+
+		// The row itself is never written
+		expect(database.table('public', config.table)).to.deep.equal([]);
+
+		await Promise.all([
+			alice.$destroy(),
+			bob.$destroy(),
+		]);
+	});
+
+	it('compact stored CRDT updates', async function() {
+		this.timeout(10 * 1000);
+
+		let database = config.fakeDatabase();
+		let updates = database.table('public', 'supabase_reactive_updates');
+		let writer = await Reactive(`${config.table}/crdt1`, {...config.baseReactive(), supabase: FakeSupabase({database}), crdt: YjsCrdt, crdtCompactAfter: 0});
+		for (let count = 1; count <= 4; count++) {
+			writer.count = count;
+			await tick();
+			await writer.$flush();
+		}
+		await writer.$destroy();
+		expect(updates).to.have.length(4);
+
+		// Readers compact once more than `crdtCompactAfter` updates are stored
+		let reader = await Reactive(`${config.table}/crdt1`, {...config.baseReactive(), supabase: FakeSupabase({database}), crdt: YjsCrdt, crdtCompactAfter: 3});
+		expect(reader).to.deep.equal({count: 4});
+		expect(updates).to.have.length(1);
+		await reader.$destroy();
+
+		// The compacted update replays the same document
+		let replayed = await Reactive(`${config.table}/crdt1`, {...config.baseReactive(), supabase: FakeSupabase({database}), crdt: YjsCrdt});
+		expect(replayed).to.deep.equal({count: 4});
+		await replayed.$destroy();
+	});
+
+	it('store CRDT documents of every schema in one table', async function() {
+		this.timeout(10 * 1000);
+
+		let database = config.fakeDatabase();
+		let publicDoc = await Reactive(`${config.table}/crdt1`, {...config.baseReactive(), supabase: FakeSupabase({database}), crdt: YjsCrdt});
+		let privateDoc = await Reactive(`${config.table}/crdt1`, {...config.baseReactive(), supabase: FakeSupabase({database}), dbSchema: 'private', crdt: YjsCrdt});
+		expect(privateDoc.$meta.channel.bindings[0].filter).to.include({schema: 'public', table: 'supabase_reactive_updates'});
+
+		publicDoc.title = 'Public';
+		privateDoc.title = 'Private';
+		await tick();
+		await Promise.all([publicDoc.$flush(), privateDoc.$flush()]);
+		await tick(100);
+
+		// Same table + ID but the realtime inserts of the other schema are ignored
+		expect(publicDoc).to.deep.equal({title: 'Public'});
+		expect(privateDoc).to.deep.equal({title: 'Private'});
+		expect(database.table('public', 'supabase_reactive_updates').map(row => row.doc_schema).sort()).to.deep.equal(['private', 'public']);
+		expect(database.tables.has('private.supabase_reactive_updates')).to.equal(false);
+
+		await Promise.all([publicDoc.$destroy(), privateDoc.$destroy()]);
+
+		// Reads only merge the updates of their own schema
+		let reader = await Reactive(`${config.table}/crdt1`, {...config.baseReactive(), supabase: FakeSupabase({database}), dbSchema: 'private', crdt: YjsCrdt});
+		expect(reader).to.deep.equal({title: 'Private'});
+		await reader.$destroy();
+	});
+
+	it('record writes in an audit log + restore earlier versions', async function() {
+		this.timeout(10 * 1000);
+
+		let database = config.fakeDatabase({fake1: {title: 'Fake'}});
+		let alice = await Reactive(`${config.table}/fake1`, {...config.baseReactive(), supabase: FakeSupabase({database, user: {id: 'alice'}}), historyTable: 'history'});
+		let bob = await Reactive(`${config.table}/fake1`, {...config.baseReactive(), supabase: FakeSupabase({database, user: {id: 'bob'}}), historyTable: 'history'});
+
+		alice.title = 'Alice';
+		await tick();
+		await alice.$flush();
+		await tick(100);
+		expect(bob).to.deep.equal({title: 'Alice'});
+		await tick(1000); // Wait for the write lock of the adopted remote change to release
+
+		bob.title = 'Bob';
+		bob.tags = ['draft'];
+		await tick();
+		await bob.$flush();
+		await tick(100);
+
+		let log = await alice.$auditLog();
+		expect(log.map(({version, author}) => ({version, author}))).to.deep.equal([
+			{version: 2, author: 'bob'},
+			{version: 1, author: 'alice'},
+		]);
+		expect(log[0].timestamp).to.be.an.instanceOf(Date);
+		expect(log[0].patch).to.deep.equal([
+			{op: 'replace', path: '/title', value: 'Bob'},
+			{op: 'add', path: '/tags', value: ['draft']},
+		]);
+		expect(log[0].data).to.deep.equal({title: 'Bob', tags: ['draft']});
+		expect(await alice.$auditLog({limit: 1})).to.have.length(1);
+
+		// Time-travel reads
+		expect(await alice.$at(1)).to.deep.equal({title: 'Alice'});
+		expect(await alice.$at(0)).to.equal(null);
+		expect(await alice.$at(new Date())).to.deep.equal({title: 'Bob', tags: ['draft']});
+		expect(alice).to.deep.equal({title: 'Bob', tags: ['draft']});
+
+		// Reverting writes a new version
+		await alice.$revert(1);
+		expect(alice).to.deep.equal({title: 'Alice'});
+		await tick(100);
+		expect(bob).to.deep.equal({title: 'Alice'});
+		log = await bob.$auditLog();
+		expect(log).to.have.length(3);
+		expect(log[0]).to.deep.include({version: 3, author: 'alice', data: {title: 'Alice'}});
+
+		// ...which can be undone as a single step
+		expect(alice.$undo()).to.equal(true);
+		expect(alice).to.deep.equal({title: 'Bob', tags: ['draft']});
+		await tick();
+		await alice.$flush();
+		await tick(1100); // Wait for the write lock of the adopted remote change to release
+		expect(bob).to.deep.equal({title: 'Bob', tags: ['draft']});
+
+		let err = await alice.$revert(0).then(()=> null, e => e);
+		expect(err).to.be.an.instanceOf(NotFoundError);
+
+		await Promise.all([
+			alice.$destroy(),
+			bob.$destroy(),
+		]);
+	});
+
+	it('record audit logs of every schema in one table without failing writes', async function() {
+		this.timeout(10 * 1000);
+
+		let database = config.fakeDatabase({fake1: {title: 'Public'}}, {[`private.${config.table}`]: {fake1: {title: 'Private'}}});
+		let publicDoc = await Reactive(`${config.table}/fake1`, {...config.baseReactive(), supabase: FakeSupabase({database}), historyTable: 'history'});
+		let privateDoc = await Reactive(`${config.table}/fake1`, {...config.baseReactive(), supabase: FakeSupabase({database}), dbSchema: 'private', historyTable: 'history'});
+
+		publicDoc.title = 'Public edit';
+		privateDoc.title = 'Private edit';
+		await tick();
+		await Promise.all([publicDoc.$flush(), privateDoc.$flush()]);
+
+		expect(database.table('public', 'history').map(row => row.doc_schema).sort()).to.deep.equal(['private', 'public']);
+		expect(database.tables.has('private.history')).to.equal(false);
+		expect((await privateDoc.$auditLog()).map(entry => entry.data)).to.deep.equal([{title: 'Private edit'}]);
+
+		await Promise.all([publicDoc.$destroy(), privateDoc.$destroy()]);
+
+		// Failed appends are reported but the write still succeeds
+		let supabase = FakeSupabase({database});
+		let {schema} = supabase;
+		supabase.schema = name => ({
+			...schema(name),
+			from: table => table == 'history'
+				? {insert: async ()=> ({data: null, error: {code: '42501', message: 'permission denied for table history'}, status: 403})}
+				: schema(name).from(table),
+		});
+		let errors = [];
+		let doc = await Reactive(`${config.table}/fake1`, {...config.baseReactive(), supabase, historyTable: 'history', onError: (err, context) => errors.push({name: err.name, context})});
+
+		doc.title = 'Unaudited';
+		await tick();
+		await doc.$flush();
+		expect(errors).to.deep.equal([{name: 'PermissionDeniedError', context: 'history'}]);
+		expect(doc.$meta).to.deep.include({status: 'idle', version: 2});
+		expect(database.table('public', config.table)[0][config.dataColumn]).to.deep.equal({title: 'Unaudited'});
+
+		await doc.$destroy();
+
+		// ...even if onError rethrows
+		let rethrowing = await Reactive(`${config.table}/fake1`, {...config.baseReactive(), supabase, historyTable: 'history', onError: err => { throw err }});
+
+		rethrowing.title = 'Still unaudited';
+		await tick();
+		await rethrowing.$flush();
+		expect(rethrowing.$meta).to.deep.include({status: 'idle', version: 3});
+		expect(database.table('public', config.table)[0][config.dataColumn]).to.deep.equal({title: 'Still unaudited'});
+
+		await rethrowing.$destroy();
+	});
+
+	it('export + import state in portable formats', async function() {
+		this.timeout(10 * 1000);
+
+		let database = config.fakeDatabase({fake1: {title: 'Fake'}, fake2: {title: 'Other'}});
+		let alice = await Reactive(`${config.table}/fake1`, {...config.baseReactive(), supabase: FakeSupabase({database})});
+		let bob = await Reactive(`${config.table}/fake1`, {...config.baseReactive(), supabase: FakeSupabase({database})});
+
+		expect(alice.$export()).to.equal('{"title":"Fake"}');
+		let envelope = JSON.parse(alice.$export({format: 'envelope'}));
+		expect(envelope).to.deep.include({format: 'supabase-reactive', formatVersion: 1, data: {title: 'Fake'}});
+		expect(envelope.meta).to.deep.include({table: config.table, id: 'fake1', version: 0});
+		expect(()=> alice.$export({format: 'ndjson'})).to.throw();
+
+		// Imports are written + seen by other clients
+		await alice.$import('{"title":"Imported","tags":["a"]}');
+		expect(alice).to.deep.equal({title: 'Imported', tags: ['a']});
+		await tick(100);
+		expect(bob).to.deep.equal({title: 'Imported', tags: ['a']});
+
+		await alice.$import({tags: ['b'], extra: {deep: true}}, {mode: 'merge'});
+		expect(alice).to.deep.equal({title: 'Imported', tags: ['b'], extra: {deep: true}});
+
+		// Each import is a single undoable step
+		expect(alice.$undo()).to.equal(true);
+		expect(alice).to.deep.equal({title: 'Imported', tags: ['a']});
+		expect(alice.$redo()).to.equal(true);
+		expect(alice).to.deep.equal({title: 'Imported', tags: ['b'], extra: {deep: true}});
+		await tick();
+		await alice.$flush();
+
+		// Envelopes can be imported into other documents
+		let copy = await Reactive(`${config.table}/fake3`, {...config.baseReactive(), supabase: FakeSupabase({database})});
+		await copy.$import(alice.$export({format: 'envelope'}));
+		expect(copy).to.deep.equal({title: 'Imported', tags: ['b'], extra: {deep: true}});
+		await copy.$destroy();
+
+		for (let invalid of ['nope', '[1]', '{"format":"supabase-reactive","formatVersion":99,"data":{}}']) {
+			let err = await alice.$import(invalid).then(()=> null, e => e);
+			expect(err).to.be.an.instanceOf(ValidationError);
+		}
+
+		// NDJSON collections
+		let collection = await Reactive({...config.baseReactive(), supabase: FakeSupabase({database}), isArray: true, order: 'id'});
+		let ndjson = collection.$export({format: 'ndjson'});
+		expect(ndjson.trim().split('\n')).to.have.length(3);
+
+		await collection.$import('{"id":"fake2","title":"Merged"}\n{"title":"New"}\n', {mode: 'merge'});
+		expect(collection.map(({title}) => title)).to.deep.equal(['Imported', 'Merged', 'Imported', 'New']);
+		expect(collection[3].id).to.be.a('string');
+
+		await collection.$import(ndjson);
+		expect(collection.map(({id}) => id)).to.deep.equal(['fake1', 'fake2', 'fake3']);
+		await collection.$destroy();
+
+		await Promise.all([
+			alice.$destroy(),
+			bob.$destroy(),
+		]);
+	});
+
+	it('sync tables within other Postgres schemas', async function() {
+		this.timeout(10 * 1000);
+
+		let supabase = FakeSupabase({
+			database: config.fakeDatabase({}, {'private.notes': {note1: {title: 'Private'}}}),
+		});
+		let state = await Reactive('private.notes/note1', {...config.baseReactive(), supabase});
+		let other = await Reactive('notes/note1', {...config.baseReactive(), supabase, dbSchema: 'private'});
+		expect(state).to.deep.equal({title: 'Private'});
+		expect(state.$meta.channel.bindings[0].filter).to.have.property('schema', 'private');
+
+		state.title = 'Updated';
+		await tick();
+		await state.$flush();
+		await tick(100);
+		expect(other).to.have.property('title', 'Updated');
+		expect(supabase.database.tables.get('public.notes')).to.be.undefined;
+		expect(supabase.database.tables.get('private.notes')[0][config.dataColumn]).to.deep.equal({title: 'Updated'});
+
+		await Promise.all([
+			state.$destroy(),
+			other.$destroy(),
+		]);
+	});
+
+	[
+		{name: 'path + options', create: ()=> createSupabaseWorker(`${config.table}/dddddddd-dddd-dddd-dddd-dddddddddddd`, config.baseReactive())},
+		{name: 'options object', create: ()=> createSupabaseWorker({...config.baseReactive(), id: 'dddddddd-dddd-dddd-dddd-dddddddddddd'})},
+	].forEach(({name, create}) =>
+		it(`headless workers emit change, remote + destroy events (via ${name})`, async function() {
+			this.timeout(10 * 1000);
+
+			let worker = await create();
+			let events = {change: 0, remote: [], destroy: 0};
+			worker.on('change', ()=> events.change++);
+			worker.on('remote', data => events.remote.push(data));
+			worker.on('destroy', ()=> events.destroy++);
+
+			worker.state.workerKey = 'Local!';
+			await tick();
+			await worker.state.$flush();
+			expect(events.change).to.be.at.least(1);
+
+			// Change the row from elsewhere
+			let remote = await Reactive(`${config.table}/dddddddd-dddd-dddd-dddd-dddddddddddd`, config.baseReactive());
+			remote.workerKey = `Remote ${name}!`;
+			await tick();
+			await remote.$flush();
+			await tick(1000);
+			expect(worker.state).to.have.property('workerKey', `Remote ${name}!`);
+			expect(events.remote.at(-1)).to.have.property('workerKey', `Remote ${name}!`);
+
+			await Promise.all([
+				remote.$destroy(),
+				worker.state.$destroy(),
+			]);
+			expect(events.destroy).to.equal(1);
+			expect(worker.listenerCount('change')).to.equal(0);
+		})
+	);
+
+	it('surface errors via onError, $meta.error + rejections', async ()=> {
+		let errors = [];
+		let missing = Reactive(`${config.table}/00000000-0000-0000-0000-000000000000`, {
+			...config.baseReactive(),
+			createMissing: false,
+			onError: (err, context) => errors.push({err, context}),
+		});
+
+		let err = await missing.then(()=> null, e => e);
+		expect(err).to.be.instanceOf(NotFoundError);
+		expect(errors).to.have.length(1);
+		expect(errors[0]).to.have.property('context', 'read');
+		expect(errors[0].err).to.equal(err);
+	});
+
+	it('include failed changes within the next write', async function() {
+		this.timeout(10 * 1000);
+
+		let database = config.fakeDatabase({fake1: {x: 1, y: 2}});
+		let failNext = false;
+		let failDebug = false;
+		let state = await Reactive(`${config.table}/fake1`, {
+			...config.baseReactive(),
+			debug(...msg) {
+				if (failDebug && msg[0] == 'LOCAL CHANGE') { // Simulate a debug hook which can't serialize its arguments
+					failDebug = false;
+					throw new TypeError('Converting circular structure to JSON');
+				}
+			},
+			supabase: FakeSupabase({
+				database,
+				functions: {
+					async flaky_patch(params, client) {
+						if (failNext) {
+							failNext = false;
+							throw new Error('Patch refused');
+						}
+						let {data, error} = await client.rpc('supabase_reactive_patch', params);
+						if (error) throw new Error(error.message);
+						return data;
+					},
+				},
+			}),
+			writeMode: 'patch',
+			patchFunction: 'flaky_patch',
+		});
+
+		failNext = true;
+		state.x = 2;
+		await tick();
+		let err = await state.$flush().then(()=> null, e => e);
+		expect(err).to.have.property('name', 'RemoteError');
+		expect(state.$meta.version).to.equal(0);
+
+		state.y = 3;
+		await tick();
+		await state.$flush();
+		expect(await state.$fetch()).to.deep.equal({x: 2, y: 3});
+		expect(state.$meta.version).to.equal(1);
+
+		// Throwing debug hooks are rolled back the same way
+		failDebug = true;
+		state.x = 3;
+		await tick();
+		err = await state.$flush().then(()=> null, e => e);
+		expect(err).to.be.an.instanceOf(TypeError);
+		expect(state.$meta.version).to.equal(1);
+
+		state.y = 4;
+		await tick();
+		await state.$flush();
+		expect(await state.$fetch()).to.deep.equal({x: 3, y: 4});
+		expect(state.$meta.version).to.equal(2);
+
+		await state.$destroy();
+	});
+
+	it('include failed row changes of isArray collections within the next write', async function() {
+		this.timeout(10 * 1000);
+
+		let database = config.fakeDatabase({fake1: {title: 'A'}, fake2: {title: 'B'}, fake3: {title: 'C'}});
+		let supabase = FakeSupabase({database});
+		let state = await Reactive({...config.baseReactive(), supabase, isArray: true, order: config.idColumn, queueStorage: false});
+
+		supabase.setOnline(false); // Without `queueStorage` writes fail rather than queue
+		state[0].title = 'A changed';
+		state.splice(2, 1);
+		await tick();
+		let err = await state.$flush().then(()=> null, e => e);
+		expect(err).to.have.property('name', 'NetworkError');
+		supabase.setOnline(true);
+
+		state[1].title = 'B changed';
+		await tick();
+		await state.$flush();
+		expect(database.table('public', config.table).map(row => row[config.dataColumn])).to.deep.equal([{title: 'A changed'}, {title: 'B changed'}]);
+		expect(state.$meta.rows).to.have.all.keys('fake1', 'fake2');
+
+		await state.$destroy();
+	});
+
 });